@@ -0,0 +1,49 @@
+import React, { useState } from "react";
+import { gql, useSubscription } from "@apollo/client";
+
+export const DOG_ADDED_SUBSCRIPTION = gql`
+  subscription OnDogAdded {
+    dogAdded {
+      id
+      name
+      breed
+    }
+  }
+`;
+
+export const DOG_DELETED_SUBSCRIPTION = gql`
+  subscription OnDogDeleted {
+    dogDeleted {
+      id
+      name
+    }
+  }
+`;
+
+// How many events the feed shows
+const MAX_EVENTS = 5;
+
+// A live feed of dogs coming and going, newest first
+export function DogActivity() {
+  const [events, setEvents] = useState([]);
+  const addEvent = (text) =>
+    setEvents((previous) => [text, ...previous].slice(0, MAX_EVENTS));
+
+  useSubscription(DOG_ADDED_SUBSCRIPTION, {
+    onSubscriptionData: ({ subscriptionData: { data } }) =>
+      addEvent(`${data.dogAdded.name} the ${data.dogAdded.breed} joined`)
+  });
+  useSubscription(DOG_DELETED_SUBSCRIPTION, {
+    onSubscriptionData: ({ subscriptionData: { data } }) =>
+      addEvent(`${data.dogDeleted.name} left`)
+  });
+
+  if (events.length === 0) return <p>No activity yet</p>;
+  return (
+    <ul>
+      {events.map((text, index) => (
+        <li key={events.length - index}>{text}</li>
+      ))}
+    </ul>
+  );
+}
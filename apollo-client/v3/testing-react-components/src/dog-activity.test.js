@@ -0,0 +1,83 @@
+import React from "react";
+import "@testing-library/jest-dom";
+import { act, render, screen, waitFor } from "@testing-library/react";
+import { ApolloClient, ApolloProvider, InMemoryCache } from "@apollo/client";
+import { graphql } from "graphql";
+import { DogActivity } from "./dog-activity";
+import {
+  createSchemaLink,
+  pushDogAdded,
+  pushDogDeleted,
+  resetDogs,
+  schema
+} from "./schema";
+
+// Renders the feed, and waits until both of its subscriptions listen for
+// events.
+async function renderDogActivity() {
+  const link = createSchemaLink({ delay: 0 });
+  const client = new ApolloClient({ cache: new InMemoryCache(), link });
+  const { unmount } = render(
+    <ApolloProvider client={client}>
+      <DogActivity />
+    </ApolloProvider>
+  );
+  await act(async () => {
+    await link.subscribed("OnDogAdded");
+    await link.subscribed("OnDogDeleted");
+  });
+  return { link, unmount };
+}
+
+beforeEach(() => {
+  resetDogs();
+});
+
+it("should render without events", async () => {
+  await renderDogActivity();
+  expect(screen.getByText("No activity yet")).toBeInTheDocument();
+});
+
+it("should render events pushed by the test, newest first", async () => {
+  await renderDogActivity();
+
+  await act(() => pushDogAdded({ id: "10", name: "Rex", breed: "beagle" }));
+  await act(() => pushDogDeleted({ id: "1", name: "Buck" }));
+
+  expect(
+    (await screen.findAllByRole("listitem")).map((item) => item.textContent)
+  ).toEqual(["Buck left", "Rex the beagle joined"]);
+});
+
+it("should render events for changes made with mutations", async () => {
+  const { link } = await renderDogActivity();
+
+  await act(() =>
+    graphql({
+      schema,
+      source: `mutation { addDog(name: "Rex", breed: "beagle") { id } }`
+    })
+  );
+
+  expect(await screen.findByText("Rex the beagle joined")).toBeInTheDocument();
+  const added = link.operations.find(
+    ({ operationName }) => operationName === "OnDogAdded"
+  );
+  expect(added.results).toEqual([
+    {
+      data: {
+        dogAdded: { __typename: "Dog", id: "4", name: "Rex", breed: "beagle" }
+      }
+    }
+  ]);
+});
+
+it("should stop listening when unmounted", async () => {
+  const { link, unmount } = await renderDogActivity();
+
+  unmount();
+
+  await waitFor(() =>
+    expect(link.operations.filter(({ active }) => active)).toHaveLength(0)
+  );
+});
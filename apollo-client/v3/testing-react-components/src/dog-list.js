@@ -0,0 +1,180 @@
+import React, { useState } from "react";
+import { gql, useMutation, useQuery } from "@apollo/client";
+import { DELETE_DOG_MUTATION } from "./delete-dog";
+
+const DOG_FIELDS = gql`
+  fragment DogFields on Dog {
+    id
+    name
+    breed
+  }
+`;
+
+export const GET_DOGS_QUERY = gql`
+  query GetDogs {
+    dogs {
+      ...DogFields
+    }
+  }
+  ${DOG_FIELDS}
+`;
+
+export const ADD_DOG_MUTATION = gql`
+  mutation AddDog($name: String!, $breed: String!) {
+    addDog(name: $name, breed: $breed) {
+      ...DogFields
+    }
+  }
+  ${DOG_FIELDS}
+`;
+
+export const UPDATE_DOG_MUTATION = gql`
+  mutation UpdateDog($id: ID!, $name: String, $breed: String) {
+    updateDog(id: $id, name: $name, breed: $breed) {
+      ...DogFields
+    }
+  }
+  ${DOG_FIELDS}
+`;
+
+// Form for adding a dog. The new dog isn't in any cached list yet, so we add
+// a reference to it to the cached `dogs` field ourselves.
+function AddDog() {
+  const [name, setName] = useState("");
+  const [breed, setBreed] = useState("");
+  const [addDog, { loading, error }] = useMutation(ADD_DOG_MUTATION, {
+    update(cache, { data: { addDog } }) {
+      cache.modify({
+        fields: {
+          dogs(existing = []) {
+            const ref = cache.writeFragment({
+              data: addDog,
+              fragment: DOG_FIELDS
+            });
+            return [...existing, ref];
+          }
+        }
+      });
+    }
+  });
+
+  return (
+    <form
+      onSubmit={(event) => {
+        event.preventDefault();
+        addDog({ variables: { name, breed } })
+          .then(() => {
+            setName("");
+            setBreed("");
+          })
+          .catch(() => {});
+      }}
+    >
+      <input
+        aria-label="Name"
+        value={name}
+        onChange={(event) => setName(event.target.value)}
+      />
+      <input
+        aria-label="Breed"
+        value={breed}
+        onChange={(event) => setBreed(event.target.value)}
+      />
+      <button type="submit" disabled={loading}>
+        Add dog
+      </button>
+      {error && <p>{error.message}</p>}
+    </form>
+  );
+}
+
+// Form for changing a dog's name and breed. The result has the dog's id, so
+// Apollo updates the cached Dog in place, and every list showing it.
+function EditDog({ dog, onDone }) {
+  const [name, setName] = useState(dog.name);
+  const [breed, setBreed] = useState(dog.breed);
+  const [updateDog, { loading, error }] = useMutation(UPDATE_DOG_MUTATION);
+
+  return (
+    <form
+      onSubmit={(event) => {
+        event.preventDefault();
+        updateDog({ variables: { id: dog.id, name, breed } })
+          .then(onDone)
+          .catch(() => {});
+      }}
+    >
+      <input
+        aria-label="Name"
+        value={name}
+        onChange={(event) => setName(event.target.value)}
+      />
+      <input
+        aria-label="Breed"
+        value={breed}
+        onChange={(event) => setBreed(event.target.value)}
+      />
+      <button type="submit" disabled={loading}>
+        Save
+      </button>
+      <button type="button" onClick={onDone}>
+        Cancel
+      </button>
+      {error && <p>{error.message}</p>}
+    </form>
+  );
+}
+
+// One dog in the list, with buttons to edit and delete it. Deleting evicts
+// the Dog from the cache; Apollo then leaves it out of every list that
+// referred to it.
+function DogItem({ dog }) {
+  const [editing, setEditing] = useState(false);
+  const [deleteDog, { loading, error }] = useMutation(DELETE_DOG_MUTATION, {
+    variables: { name: dog.name },
+    update(cache, { data: { deleteDog } }) {
+      cache.evict({ id: cache.identify(deleteDog) });
+      cache.gc();
+    }
+  });
+
+  if (editing) {
+    return (
+      <li>
+        <EditDog dog={dog} onDone={() => setEditing(false)} />
+      </li>
+    );
+  }
+  return (
+    <li>
+      {dog.name} is a {dog.breed}{" "}
+      <button type="button" onClick={() => setEditing(true)}>
+        Edit {dog.name}
+      </button>{" "}
+      <button
+        type="button"
+        disabled={loading}
+        onClick={() => deleteDog().catch(() => {})}
+      >
+        Delete {dog.name}
+      </button>
+      {error && <p>{error.message}</p>}
+    </li>
+  );
+}
+
+export function DogList() {
+  const { loading, error, data } = useQuery(GET_DOGS_QUERY);
+  if (loading) return <p>Loading...</p>;
+  if (error) return <p>{error.message}</p>;
+  return (
+    <div>
+      <ul>
+        {data.dogs.map((dog) => (
+          <DogItem key={dog.id} dog={dog} />
+        ))}
+      </ul>
+      <AddDog />
+    </div>
+  );
+}
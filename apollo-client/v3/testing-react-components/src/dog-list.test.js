@@ -0,0 +1,108 @@
+import React from "react";
+import "@testing-library/jest-dom";
+import userEvent from "@testing-library/user-event";
+import {
+  render,
+  screen,
+  waitForElementToBeRemoved,
+  within
+} from "@testing-library/react";
+import { ApolloClient, ApolloProvider, InMemoryCache } from "@apollo/client";
+import { graphql } from "graphql";
+import { DogList, GET_DOGS_QUERY } from "./dog-list";
+import { createSchemaLink, resetDogs, schema } from "./schema";
+
+// Renders the list against the schema in schema.js, and returns the client
+// and link, to check what's in the cache and what was sent.
+function renderDogList() {
+  const link = createSchemaLink({ delay: 0 });
+  const client = new ApolloClient({ cache: new InMemoryCache(), link });
+  render(
+    <ApolloProvider client={client}>
+      <DogList />
+    </ApolloProvider>
+  );
+  return { client, link };
+}
+
+beforeEach(() => {
+  resetDogs();
+});
+
+it("should render the dogs", async () => {
+  renderDogList();
+
+  expect(await screen.findByText("Buck is a bulldog")).toBeInTheDocument();
+  expect(screen.getByText("Blueberry is a poodle")).toBeInTheDocument();
+  expect(screen.getByText("Mozzarella is a corgi")).toBeInTheDocument();
+});
+
+it("should add a dog to the cached list", async () => {
+  const { client, link } = renderDogList();
+  await screen.findByText("Buck is a bulldog");
+
+  await userEvent.type(screen.getByLabelText("Name"), "Rex");
+  await userEvent.type(screen.getByLabelText("Breed"), "beagle");
+  await userEvent.click(screen.getByText("Add dog"));
+
+  expect(await screen.findByText("Rex is a beagle")).toBeInTheDocument();
+  expect(link.operations.map(({ operationName }) => operationName)).toEqual([
+    "GetDogs",
+    "AddDog"
+  ]);
+  expect(link.operations[1].variables).toEqual({
+    name: "Rex",
+    breed: "beagle"
+  });
+  const { dogs } = client.readQuery({ query: GET_DOGS_QUERY });
+  expect(dogs.map(({ name }) => name)).toEqual([
+    "Buck",
+    "Blueberry",
+    "Mozzarella",
+    "Rex"
+  ]);
+});
+
+it("should update a dog in place", async () => {
+  const { link } = renderDogList();
+  await userEvent.click(await screen.findByText("Edit Buck"));
+
+  const form = within(screen.getByText("Save").closest("form"));
+  await userEvent.clear(form.getByLabelText("Breed"));
+  await userEvent.type(form.getByLabelText("Breed"), "boxer");
+  await userEvent.click(form.getByText("Save"));
+
+  expect(await screen.findByText("Buck is a boxer")).toBeInTheDocument();
+  expect(link.operations[1]).toMatchObject({
+    operationName: "UpdateDog",
+    variables: { id: "1", name: "Buck", breed: "boxer" }
+  });
+  // The list isn't fetched again.
+  expect(link.operations).toHaveLength(2);
+});
+
+it("should evict a deleted dog from the cache", async () => {
+  const { client } = renderDogList();
+  await userEvent.click(await screen.findByText("Delete Buck"));
+
+  await waitForElementToBeRemoved(() =>
+    screen.queryByText("Buck is a bulldog")
+  );
+  expect(screen.getByText("Blueberry is a poodle")).toBeInTheDocument();
+  expect(screen.getByText("Mozzarella is a corgi")).toBeInTheDocument();
+  expect(client.cache.extract()).not.toHaveProperty("Dog:1");
+});
+
+it("should show an error when deleting a dog that's already gone", async () => {
+  renderDogList();
+  const item = (await screen.findByText("Delete Buck")).closest("li");
+  await graphql({
+    schema,
+    source: `mutation { deleteDog(name: "Buck") { id } }`
+  });
+
+  await userEvent.click(within(item).getByText("Delete Buck"));
+
+  expect(await screen.findByText("No dog named Buck")).toBeInTheDocument();
+  expect(screen.getByText("Buck is a bulldog")).toBeInTheDocument();
+});
@@ -0,0 +1,61 @@
+import React, { useEffect, useState } from "react";
+import { gql, useQuery } from "@apollo/client";
+
+export const SEARCH_DOGS_QUERY = gql`
+  query SearchDogs($query: String, $breed: String, $limit: Int) {
+    searchDogs(query: $query, breed: $breed, limit: $limit) {
+      id
+      name
+      breed
+    }
+  }
+`;
+
+// How long to wait after the last keystroke before searching, in
+// milliseconds
+export const SEARCH_DELAY = 300;
+
+// Returns `value` once it has stopped changing for `delay` milliseconds.
+function useDebouncedValue(value, delay) {
+  const [debounced, setDebounced] = useState(value);
+  useEffect(() => {
+    const timer = setTimeout(() => setDebounced(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+  return debounced;
+}
+
+// A search box for dogs. It searches once the user stops typing, rather than
+// on every keystroke, and keeps showing the last results while the next ones
+// load.
+export function DogSearch({ breed, limit }) {
+  const [input, setInput] = useState("");
+  const query = useDebouncedValue(input.trim(), SEARCH_DELAY);
+  const { loading, error, data, previousData } = useQuery(SEARCH_DOGS_QUERY, {
+    variables: { query, breed, limit },
+    skip: !query
+  });
+  const results = (data ?? previousData)?.searchDogs;
+
+  return (
+    <div>
+      <input
+        aria-label="Search dogs"
+        value={input}
+        onChange={(event) => setInput(event.target.value)}
+      />
+      {loading && !results && <p>Loading...</p>}
+      {error && <p>{error.message}</p>}
+      {query && results?.length === 0 && <p>No dogs found</p>}
+      {query && results?.length > 0 && (
+        <ul>
+          {results.map((dog) => (
+            <li key={dog.id}>
+              {dog.name} is a {dog.breed}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
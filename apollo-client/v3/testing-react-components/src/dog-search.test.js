@@ -0,0 +1,57 @@
+import React from "react";
+import "@testing-library/jest-dom";
+import userEvent from "@testing-library/user-event";
+import { act, render, screen } from "@testing-library/react";
+import { ApolloClient, ApolloProvider, InMemoryCache } from "@apollo/client";
+import { DogSearch, SEARCH_DELAY } from "./dog-search";
+import { createSchemaLink, resetDogs } from "./schema";
+
+function renderDogSearch() {
+  const link = createSchemaLink({ delay: 0 });
+  const client = new ApolloClient({ cache: new InMemoryCache(), link });
+  render(
+    <ApolloProvider client={client}>
+      <DogSearch />
+    </ApolloProvider>
+  );
+  return { link };
+}
+
+beforeEach(() => {
+  resetDogs();
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+// userEvent waits between keystrokes with setTimeout, so it has to move the
+// fake clock along.
+const user = () => userEvent.setup({ advanceTimers: jest.advanceTimersByTime });
+
+it("should search once the user stops typing", async () => {
+  const { link } = renderDogSearch();
+
+  await user().type(screen.getByLabelText("Search dogs"), "mozarela");
+  expect(link.operations).toHaveLength(0);
+
+  act(() => {
+    jest.advanceTimersByTime(SEARCH_DELAY);
+  });
+
+  expect(await screen.findByText("Mozzarella is a corgi")).toBeInTheDocument();
+  expect(link.operations).toHaveLength(1);
+  expect(link.operations[0].variables).toMatchObject({ query: "mozarela" });
+});
+
+it("should say when no dog matches", async () => {
+  renderDogSearch();
+
+  await user().type(screen.getByLabelText("Search dogs"), "xyz");
+  act(() => {
+    jest.advanceTimersByTime(SEARCH_DELAY);
+  });
+
+  expect(await screen.findByText("No dogs found")).toBeInTheDocument();
+});
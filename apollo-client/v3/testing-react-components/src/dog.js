@@ -18,6 +18,7 @@ export function Dog({ name }) {
   });
   if (loading) return <p>Loading...</p>;
   if (error) return <p>{error.message}</p>;
+  if (!data.dog) return <p>No dog named {name}</p>;
   return (
     <p>
       {data.dog.name} is a {data.dog.breed}
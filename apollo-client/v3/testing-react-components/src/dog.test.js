@@ -62,3 +62,21 @@ it("should show error UI", async () => {
   );
   expect(await screen.findByText("An error occurred")).toBeInTheDocument();
 });
+
+it("should render not found state", async () => {
+  const dogMock = {
+    request: {
+      query: GET_DOG_QUERY,
+      variables: { name: "Nope" }
+    },
+    result: {
+      data: { dog: null }
+    }
+  };
+  render(
+    <MockedProvider mocks={[dogMock]} addTypename={false}>
+      <Dog name="Nope" />
+    </MockedProvider>
+  );
+  expect(await screen.findByText("No dog named Nope")).toBeInTheDocument();
+});
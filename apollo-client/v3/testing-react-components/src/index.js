@@ -4,6 +4,9 @@ import { ApolloClient, ApolloProvider, InMemoryCache } from "@apollo/client";
 
 import { Dog } from "./dog";
 import { DeleteButton } from "./delete-dog";
+import { DogActivity } from "./dog-activity";
+import { DogList } from "./dog-list";
+import { DogSearch } from "./dog-search";
 import { link } from "./schema";
 
 const client = new ApolloClient({
@@ -16,6 +19,9 @@ function App() {
     <main>
       <Dog name="Buck" />
       <DeleteButton />
+      <DogList />
+      <DogSearch />
+      <DogActivity />
     </main>
   );
 }
@@ -1,12 +1,17 @@
-import { graphql, print } from "graphql";
+import { graphql, print, subscribe } from "graphql";
 import {
+  GraphQLError,
   GraphQLSchema,
   GraphQLObjectType,
   GraphQLID,
+  GraphQLInt,
   GraphQLString,
-  GraphQLList
+  GraphQLList,
+  GraphQLNonNull
 } from "graphql";
 import { ApolloLink, Observable } from "@apollo/client";
+import { getMainDefinition } from "@apollo/client/utilities";
+import { PubSub } from "graphql-subscriptions";
 
 const DogType = new GraphQLObjectType({
   name: "Dog",
@@ -17,12 +22,121 @@ const DogType = new GraphQLObjectType({
   }
 });
 
-let dogData = [
+const initialDogs = [
   { id: "1", name: "Buck", breed: "bulldog" },
   { id: "2", name: "Blueberry", breed: "poodle" },
   { id: "3", name: "Mozzarella", breed: "corgi" }
 ];
 
+let dogData = [...initialDogs];
+let lastId = initialDogs.length;
+
+// Puts back the dogs we started with, such as before each test that changes
+// them.
+export function resetDogs() {
+  dogData = [...initialDogs];
+  lastId = initialDogs.length;
+}
+
+function findDog(name) {
+  return dogData.find((dog) => dog.name.toLowerCase() === name.toLowerCase());
+}
+
+//
+// Fuzzy search. A text matches the query when it contains the query,
+// ignoring case, or when it's at most a few typos away from it. Each match
+// gets a rank, lower being better:
+//
+//   0  the same text
+//   1  starts with the query
+//   2  contains the query
+//   3+ 2 plus the number of typos, in the whole text or in its start
+//
+// A typo is a missing, extra or different letter, or two letters swapped.
+// Short queries allow fewer of them, so that "bo" doesn't match everything.
+//
+function typoDistance(a, b) {
+  // Optimal string alignment distance, one row of the table at a time
+  let before = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], before[j - 2] + 1);
+      }
+    }
+    before = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// How many results searchDogs returns when it isn't given a limit
+const SEARCH_LIMIT = 10;
+
+function allowedTypos(query) {
+  if (query.length < 4) return 0;
+  if (query.length < 8) return 1;
+  return 2;
+}
+
+// Returns the rank of the match, or null if the text doesn't match.
+function matchRank(query, text) {
+  const q = query.trim().toLowerCase();
+  const t = text.toLowerCase();
+  if (t === q) return 0;
+  if (t.startsWith(q)) return 1;
+  if (t.includes(q)) return 2;
+  const typos = Math.min(
+    typoDistance(q, t),
+    typoDistance(q, t.slice(0, q.length))
+  );
+  return typos <= allowedTypos(q) ? 2 + typos : null;
+}
+
+// Returns up to `limit` dogs whose name matches `query`, best match first,
+// and in order of name for equally good matches. `breed` narrows them down
+// to the dogs whose breed matches it the same way. Without a query, every
+// dog (of that breed) matches.
+function searchDogs(query, breed, limit) {
+  return dogData
+    .filter((dog) => !breed || matchRank(breed, dog.breed) !== null)
+    .map((dog) => ({ dog, rank: query ? matchRank(query, dog.name) : 0 }))
+    .filter(({ rank }) => rank !== null)
+    .sort((a, b) => a.rank - b.rank || a.dog.name.localeCompare(b.dog.name))
+    .slice(0, Math.max(limit, 0))
+    .map(({ dog }) => dog);
+}
+
+// Subscriptions get their events from here. addDog and deleteDog publish
+// them, and so can tests, with the helpers below.
+const pubsub = new PubSub();
+const DOG_ADDED = "DOG_ADDED";
+const DOG_DELETED = "DOG_DELETED";
+
+// Sends a dogAdded event to every subscriber, without adding the dog.
+export function pushDogAdded(dog) {
+  return pubsub.publish(DOG_ADDED, { dogAdded: dog });
+}
+
+// Sends a dogDeleted event to every subscriber, without deleting the dog.
+export function pushDogDeleted(dog) {
+  return pubsub.publish(DOG_DELETED, { dogDeleted: dog });
+}
+
+function notFound(message) {
+  return new GraphQLError(message, null, null, null, null, null, {
+    code: "NOT_FOUND"
+  });
+}
+
 const QueryType = new GraphQLObjectType({
   name: "Query",
   fields: {
@@ -30,20 +144,25 @@ const QueryType = new GraphQLObjectType({
       type: GraphQLList(DogType),
       resolve: () => dogData
     },
+    // Returns null when no dog has that name, or no name is given.
     dog: {
       type: DogType,
       args: {
         name: { type: GraphQLString }
       },
-      resolve: (_, { name }) => {
-        const findDogByName = dogData.find(
-          (dog) => dog.name.toLowerCase() === name.toLowerCase()
-        );
-        if (!name || !findDogByName) return dogData[0];
-        return dogData.find(
-          (dog) => dog.name.toLowerCase() === name.toLowerCase()
-        );
-      }
+      resolve: (_, { name }) => (name && findDog(name)) || null
+    },
+    searchDogs: {
+      type: GraphQLNonNull(GraphQLList(GraphQLNonNull(DogType))),
+      args: {
+        query: { type: GraphQLString },
+        breed: { type: GraphQLString },
+        limit: { type: GraphQLInt, defaultValue: SEARCH_LIMIT }
+      },
+      // A variable that's null, or undefined as Apollo Client sends unset
+      // variables, doesn't get the default value.
+      resolve: (_, { query, breed, limit }) =>
+        searchDogs(query, breed, limit ?? SEARCH_LIMIT)
     }
   }
 });
@@ -51,42 +170,266 @@ const QueryType = new GraphQLObjectType({
 const MutationType = new GraphQLObjectType({
   name: "Mutation",
   fields: {
+    addDog: {
+      type: DogType,
+      args: {
+        name: { type: GraphQLNonNull(GraphQLString) },
+        breed: { type: GraphQLNonNull(GraphQLString) }
+      },
+      resolve: (_, { name, breed }) => {
+        lastId += 1;
+        const dog = { id: String(lastId), name, breed };
+        dogData = dogData.concat(dog);
+        pushDogAdded(dog);
+        return dog;
+      }
+    },
+    updateDog: {
+      type: DogType,
+      args: {
+        id: { type: GraphQLNonNull(GraphQLID) },
+        name: { type: GraphQLString },
+        breed: { type: GraphQLString }
+      },
+      // Only the fields that are given change.
+      resolve: (_, { id, name, breed }) => {
+        const dog = dogData.find((dog) => dog.id === id);
+        if (!dog) throw notFound(`No dog with id ${id}`);
+        const updated = {
+          ...dog,
+          name: name ?? dog.name,
+          breed: breed ?? dog.breed
+        };
+        dogData = dogData.map((dog) => (dog.id === id ? updated : dog));
+        return updated;
+      }
+    },
+    // Returns the dog that was deleted
     deleteDog: {
       type: DogType,
       args: {
-        name: { type: GraphQLString }
+        name: { type: GraphQLNonNull(GraphQLString) }
       },
-      resolve: function (_, { name }) {
-        const result = dogData.filter(
-          (dog) => dog.name.toLowerCase() !== name.toLowerCase()
-        );
-        return (dogData = result);
+      resolve: (_, { name }) => {
+        const dog = findDog(name);
+        if (!dog) throw notFound(`No dog named ${name}`);
+        dogData = dogData.filter((other) => other !== dog);
+        pushDogDeleted(dog);
+        return dog;
       }
     }
   }
 });
 
-const schema = new GraphQLSchema({ query: QueryType, mutation: MutationType });
+const SubscriptionType = new GraphQLObjectType({
+  name: "Subscription",
+  fields: {
+    dogAdded: {
+      type: DogType,
+      subscribe: () => pubsub.asyncIterator(DOG_ADDED)
+    },
+    dogDeleted: {
+      type: DogType,
+      subscribe: () => pubsub.asyncIterator(DOG_DELETED)
+    }
+  }
+});
+
+export const schema = new GraphQLSchema({
+  query: QueryType,
+  mutation: MutationType,
+  subscription: SubscriptionType
+});
 
 function delay(wait) {
   return new Promise((resolve) => setTimeout(resolve, wait));
 }
 
-export const link = new ApolloLink((operation) => {
-  return new Observable(async (observer) => {
-    const { query, operationName, variables } = operation;
-    await delay(300);
-    try {
-      const result = await graphql({
-        schema,
-        source: print(query),
-        variableValues: variables,
-        operationName
+// Options can be one value for every operation, a plain object keyed by
+// operation name, or a function that takes the operation and returns the
+// value. Any other object, such as an Error or an array, is the value itself.
+function valueFor(option, operation) {
+  if (typeof option === "function") return option(operation);
+  if (isPlainObject(option)) return option[operation.operationName];
+  return option;
+}
+
+function isPlainObject(value) {
+  if (value === null || typeof value !== "object") return false;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+function toGraphQLErrors(errors) {
+  return []
+    .concat(errors)
+    .map((error) =>
+      typeof error === "string" ? new GraphQLError(error) : error
+    );
+}
+
+function isSubscription(query) {
+  const definition = getMainDefinition(query);
+  return (
+    definition.kind === "OperationDefinition" &&
+    definition.operation === "subscription"
+  );
+}
+
+//
+// Creates a link that runs every operation against `schema`, after a delay,
+// so components go through their loading state like they would with a real
+// server. Subscriptions go through graphql-js's subscribe(), and send each
+// event on as a result until they're unsubscribed.
+//
+//   delay          how long to wait before answering, in milliseconds
+//   errors         GraphQL errors to answer with instead of running the
+//                  operation: a message, a GraphQLError, or a list of those
+//   networkErrors  an Error to fail the request with, as if the server
+//                  couldn't be reached
+//   onOperation    called with each entry of the log below, as soon as the
+//                  operation arrives
+//
+// Each option except onOperation can be set per operation, such as
+// `errors: { GetDog: "Dog not found" }` (see valueFor above). Operations
+// that such an object leaves out get no delay and no errors.
+//
+// The link keeps a log of every operation it received in `link.operations`,
+// as { operationName, variables, query, result, error }, so that tests can
+// check what a component sent. `query` is the printed query; `result` or
+// `error` is set once the link has answered. Subscriptions have `results`
+// instead, with every event sent so far, and `active`, which is true while
+// they're listening for events.
+//
+// An event published before a component's subscription is listening is
+// lost, like with a real server. Tests can wait for it to listen with
+// `await link.subscribed(operationName)`.
+//
+export function createSchemaLink({
+  schema: linkSchema = schema,
+  delay: wait = 300,
+  errors,
+  networkErrors,
+  onOperation
+} = {}) {
+  const operations = [];
+  let waitingForSubscriptions = [];
+
+  // Marks a subscription as listening, and resolves the link.subscribed()
+  // promises that were waiting for it.
+  function activate(entry) {
+    entry.active = true;
+    const matches = ({ operationName }) =>
+      operationName === entry.operationName;
+    waitingForSubscriptions
+      .filter(matches)
+      .forEach(({ resolve }) => resolve(entry));
+    waitingForSubscriptions = waitingForSubscriptions.filter(
+      (waiting) => !matches(waiting)
+    );
+  }
+
+  const link = new ApolloLink((operation) => {
+    return new Observable((observer) => {
+      const { query, operationName, variables } = operation;
+      const entry = { operationName, variables, query: print(query) };
+      operations.push(entry);
+      if (onOperation) onOperation(entry);
+      let closed = false;
+      let iterator = null;
+
+      async function runSubscription() {
+        const result = await subscribe({
+          schema: linkSchema,
+          document: query,
+          variableValues: variables,
+          operationName
+        });
+        // Errors that keep the subscription from starting come back as a
+        // plain result.
+        if (!result[Symbol.asyncIterator]) {
+          entry.result = result;
+          observer.next(result);
+          observer.complete();
+          return;
+        }
+        iterator = result;
+        entry.results = [];
+        if (closed) {
+          iterator.return();
+          return;
+        }
+        activate(entry);
+        try {
+          for await (const event of iterator) {
+            entry.results.push(event);
+            observer.next(event);
+          }
+          observer.complete();
+        } finally {
+          entry.active = false;
+        }
+      }
+
+      async function run() {
+        await delay(valueFor(wait, operation) ?? 0);
+        if (closed) return;
+
+        const networkError = valueFor(networkErrors, operation);
+        if (networkError) {
+          entry.error = networkError;
+          observer.error(networkError);
+          return;
+        }
+
+        const graphQLErrors = valueFor(errors, operation);
+        if (graphQLErrors) {
+          entry.result = { errors: toGraphQLErrors(graphQLErrors) };
+          observer.next(entry.result);
+          observer.complete();
+          return;
+        }
+
+        if (isSubscription(query)) {
+          await runSubscription();
+          return;
+        }
+        entry.result = await graphql({
+          schema: linkSchema,
+          source: entry.query,
+          variableValues: variables,
+          operationName
+        });
+        observer.next(entry.result);
+        observer.complete();
+      }
+
+      run().catch((err) => {
+        entry.error = err;
+        observer.error(err);
       });
-      observer.next(result);
-      observer.complete();
-    } catch (err) {
-      observer.error(err);
-    }
+
+      return () => {
+        closed = true;
+        entry.active = false;
+        if (iterator) iterator.return();
+      };
+    });
   });
-});
+
+  link.operations = operations;
+  // Resolves with the log entry of the first subscription called
+  // `operationName` that is listening for events.
+  link.subscribed = (operationName) => {
+    const entry = operations.find(
+      (other) => other.active && other.operationName === operationName
+    );
+    if (entry) return Promise.resolve(entry);
+    return new Promise((resolve) => {
+      waitingForSubscriptions.push({ operationName, resolve });
+    });
+  };
+  return link;
+}
+
+export const link = createSchemaLink();
@@ -0,0 +1,152 @@
+import React from "react";
+import "@testing-library/jest-dom";
+import { act, render, screen } from "@testing-library/react";
+import { ApolloClient, ApolloProvider, InMemoryCache } from "@apollo/client";
+import { Dog } from "./dog";
+import { graphql, GraphQLError } from "graphql";
+import { createSchemaLink, resetDogs, schema } from "./schema";
+
+function renderDog(link) {
+  const client = new ApolloClient({ cache: new InMemoryCache(), link });
+  render(
+    <ApolloProvider client={client}>
+      <Dog name="Buck" />
+    </ApolloProvider>
+  );
+}
+
+beforeEach(() => {
+  resetDogs();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+it("should log the operations a component sent", async () => {
+  const onOperation = jest.fn();
+  const link = createSchemaLink({ delay: 0, onOperation });
+  renderDog(link);
+
+  expect(await screen.findByText("Buck is a bulldog")).toBeInTheDocument();
+  expect(link.operations).toHaveLength(1);
+  expect(link.operations[0]).toMatchObject({
+    operationName: "GetDog",
+    variables: { name: "Buck" },
+    result: { data: { dog: { id: "1", name: "Buck", breed: "bulldog" } } }
+  });
+  expect(link.operations[0].query).toContain("dog(name: $name)");
+  expect(onOperation).toHaveBeenCalledWith(link.operations[0]);
+});
+
+it("should wait for the delay of each operation", async () => {
+  jest.useFakeTimers();
+  renderDog(createSchemaLink({ delay: { GetDog: 5000 } }));
+
+  act(() => {
+    jest.advanceTimersByTime(4000);
+  });
+  expect(screen.getByText("Loading...")).toBeInTheDocument();
+
+  act(() => {
+    jest.advanceTimersByTime(1000);
+  });
+  expect(await screen.findByText("Buck is a bulldog")).toBeInTheDocument();
+});
+
+it("should answer with injected GraphQL errors", async () => {
+  const link = createSchemaLink({
+    delay: 0,
+    errors: { GetDog: "Dog not found" }
+  });
+  renderDog(link);
+
+  expect(await screen.findByText("Dog not found")).toBeInTheDocument();
+  expect(link.operations[0].result.errors[0].message).toBe("Dog not found");
+});
+
+it("should fail with injected network errors", async () => {
+  const networkError = new Error("Failed to fetch");
+  const link = createSchemaLink({
+    delay: 0,
+    networkErrors: () => networkError
+  });
+  renderDog(link);
+
+  expect(await screen.findByText("Failed to fetch")).toBeInTheDocument();
+  expect(link.operations[0].error).toBe(networkError);
+});
+
+it("should fail every operation with a bare network error", async () => {
+  const networkError = new Error("Failed to fetch");
+  const link = createSchemaLink({ delay: 0, networkErrors: networkError });
+  renderDog(link);
+
+  expect(await screen.findByText("Failed to fetch")).toBeInTheDocument();
+  expect(link.operations[0].error).toBe(networkError);
+});
+
+it("should answer every operation with a bare GraphQLError", async () => {
+  const error = new GraphQLError("Dog not found");
+  const link = createSchemaLink({ delay: 0, errors: error });
+  renderDog(link);
+
+  expect(await screen.findByText("Dog not found")).toBeInTheDocument();
+  expect(link.operations[0].result.errors).toEqual([error]);
+});
+
+it("should answer every operation with a list of error messages", async () => {
+  const link = createSchemaLink({ delay: 0, errors: ["Too many", "dogs"] });
+  renderDog(link);
+
+  await screen.findByText(/Too many/);
+  expect(
+    link.operations[0].result.errors.map(({ message }) => message)
+  ).toEqual(["Too many", "dogs"]);
+});
+
+async function run(source, variableValues) {
+  const { data, errors } = await graphql({ schema, source, variableValues });
+  if (errors) throw errors[0];
+  return data;
+}
+
+async function searchNames(variables) {
+  const { searchDogs } = await run(
+    `query ($query: String, $breed: String, $limit: Int) {
+      searchDogs(query: $query, breed: $breed, limit: $limit) { name }
+    }`,
+    variables
+  );
+  return searchDogs.map(({ name }) => name);
+}
+
+it("should find a dog by name, ignoring case", async () => {
+  const { dog } = await run(`{ dog(name: "mozzarella") { name } }`);
+  expect(dog).toEqual({ name: "Mozzarella" });
+});
+
+it("should return null for a dog that doesn't exist", async () => {
+  expect(await run(`{ dog(name: "Nope") { name } }`)).toEqual({ dog: null });
+  expect(await run(`{ dog { name } }`)).toEqual({ dog: null });
+});
+
+it("should rank exact, prefix and partial matches in that order", async () => {
+  await run(`mutation {
+    a: addDog(name: "Bu", breed: "pug") { id }
+    b: addDog(name: "Abu", breed: "pug") { id }
+  }`);
+  expect(await searchNames({ query: "BU" })).toEqual(["Bu", "Buck", "Abu"]);
+});
+
+it("should tolerate typos", async () => {
+  expect(await searchNames({ query: "Mozarela" })).toEqual(["Mozzarella"]);
+  expect(await searchNames({ query: "Bulebe" })).toEqual(["Blueberry"]);
+  // Too short for a typo
+  expect(await searchNames({ query: "Bx" })).toEqual([]);
+});
+
+it("should filter by breed and limit the results", async () => {
+  expect(await searchNames({ breed: "Poodle" })).toEqual(["Blueberry"]);
+  expect(await searchNames({ limit: 2 })).toEqual(["Blueberry", "Buck"]);
+});
@@ -0,0 +1,57 @@
+const jwt = require('jsonwebtoken');
+
+// The example's users, and the subscriptions each may start, by field name. A
+// real server would look them up in a database.
+const users = [
+  {
+    id: '1',
+    username: 'alice',
+    name: 'Alice',
+    subscriptions: ['numberIncremented'],
+  },
+  {
+    id: '2',
+    username: 'bob',
+    name: 'Bob',
+    subscriptions: [],
+  },
+];
+
+// Tokens are signed with this secret. Set AUTH_SECRET to your own value for
+// anything but a local demo: anyone who knows the secret can sign in as any
+// user.
+const secret = process.env.AUTH_SECRET || 'subscriptions-example-secret';
+const expiresIn = process.env.AUTH_TOKEN_TTL || '1h';
+
+function findUser(id) {
+  return users.find((user) => user.id === id);
+}
+
+function findUserByName(username) {
+  return users.find((user) => user.username === username);
+}
+
+// Returns a signed token for the user, which expires after AUTH_TOKEN_TTL.
+function createToken(user) {
+  return jwt.sign({}, secret, { subject: user.id, expiresIn });
+}
+
+// Returns the user for a token and when the token expires (in milliseconds
+// since the epoch), or null if there's no token, or it's invalid or expired.
+function verifyToken(token) {
+  if (typeof token !== 'string') return null;
+  try {
+    const { sub, exp } = jwt.verify(token, secret);
+    const user = sub && findUser(sub);
+    if (user && exp) return { user, expiresAt: exp * 1000 };
+  } catch (error) {
+    // Handled below
+  }
+  return null;
+}
+
+function canSubscribe(user, field) {
+  return Boolean(user) && user.subscriptions.includes(field);
+}
+
+module.exports = { findUserByName, createToken, verifyToken, canSubscribe };
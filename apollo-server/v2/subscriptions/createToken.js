@@ -0,0 +1,11 @@
+// Prints a token for the user named on the command line, for trying out the
+// server: `yarn token alice`.
+const { createToken, findUserByName } = require('./auth');
+
+const username = process.argv[2];
+const user = username && findUserByName(username);
+if (!user) {
+  console.error('Usage: yarn token <alice|bob>');
+  process.exit(1);
+}
+console.log(createToken(user));
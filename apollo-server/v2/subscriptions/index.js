@@ -1,4 +1,5 @@
-const { ApolloServer, PubSub, gql } = require('apollo-server');
+const { ApolloServer, ForbiddenError, PubSub, gql } = require('apollo-server');
+const { canSubscribe, verifyToken } = require('./auth');
 const pubsub = new PubSub();
 const PORT = 4000;
 
@@ -6,6 +7,8 @@ const PORT = 4000;
 const typeDefs = gql`
   type Query {
     currentNumber: Int
+    "The name of the user signed in on this WebSocket connection"
+    me: String
   }
 
   type Subscription {
@@ -18,22 +21,67 @@ const resolvers = {
   Query: {
     currentNumber() {
       return currentNumber;
+    },
+    me(_, __, { user }) {
+      return user ? user.name : null;
     }
   },
   Subscription: {
     numberIncremented: {
-      subscribe: () => pubsub.asyncIterator(['NUMBER_INCREMENTED']),
+      subscribe: (_, __, { user }) => {
+        if (!canSubscribe(user, 'numberIncremented')) {
+          throw new ForbiddenError(
+            'You may not subscribe to numberIncremented'
+          );
+        }
+        return pubsub.asyncIterator(['NUMBER_INCREMENTED']);
+      },
     },
   }
 };
 
+// setTimeout can't wait longer than this, about 24.8 days. A longer delay
+// overflows, and the callback runs right away.
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// Closes the socket with 4403 Forbidden once the token expires. A token can
+// outlive the longest timer, so the wait may take several timers.
+function closeOnExpiry(webSocket, expiresAt) {
+  const delay = expiresAt - Date.now();
+  const timer = setTimeout(() => {
+    webSocket.off('close', stop);
+    if (delay > MAX_TIMER_DELAY) {
+      closeOnExpiry(webSocket, expiresAt);
+    } else {
+      webSocket.close(4403, 'Token expired');
+    }
+  }, Math.min(delay, MAX_TIMER_DELAY));
+  const stop = () => clearTimeout(timer);
+  webSocket.once('close', stop);
+}
+
+//
+// Every connection must sign in: the client sends a token in its
+// connectionParams, such as `{ authToken: "..." }`, and a connection without a
+// valid token is closed with 4401 Unauthorized. What onConnect returns is the
+// connection's context, so resolvers find the user there. The socket is
+// closed with 4403 Forbidden when the token expires.
+//
 const server = new ApolloServer({
   typeDefs,
   resolvers,
+  context: ({ connection }) => (connection ? connection.context : {}),
   subscriptions: {
     path: '/subscriptions',
     onConnect: (connectionParams, webSocket, context) => {
-      console.log('Client connected');
+      const session = verifyToken(connectionParams.authToken);
+      if (!session) {
+        webSocket.close(4401, 'Unauthorized');
+        return false;
+      }
+      console.log(`${session.user.name} connected`);
+      closeOnExpiry(webSocket, session.expiresAt);
+      return { user: session.user };
     },
     onDisconnect: (webSocket, context) => {
       console.log('Client disconnected')
@@ -0,0 +1,211 @@
+import { spawn } from "child_process";
+import { request } from "http";
+import { createServer } from "net";
+import WebSocket from "ws";
+import { createClient } from "graphql-ws";
+import jwt from "jsonwebtoken";
+
+//
+// These tests run the built server (`dist/index.js`, which `yarn test` builds
+// first) as a child process, and talk to it like a client would.
+//
+
+const AUTH_SECRET = "test-secret";
+const ALICE = "1";
+const BOB = "2";
+
+function token(userId, expiresIn = "1h") {
+  return jwt.sign({}, AUTH_SECRET, { subject: userId, expiresIn });
+}
+
+// Resolves with a port that nothing listens on.
+function freePort() {
+  return new Promise((resolve) => {
+    const server = createServer().listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Starts the server, and resolves once it's listening.
+async function startServer() {
+  const port = await freePort();
+  const child = spawn(process.execPath, ["dist/index.js"], {
+    env: { ...process.env, PORT: String(port), AUTH_SECRET },
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+  await new Promise((resolve, reject) => {
+    child.once("exit", () => reject(new Error("The server exited")));
+    child.stdout.on("data", (data) => {
+      if (data.toString().includes("Query endpoint ready")) resolve();
+    });
+  });
+  return {
+    url: `http://localhost:${port}/graphql`,
+    stop() {
+      const exited = new Promise((resolve) => child.once("exit", resolve));
+      child.kill();
+      return exited;
+    },
+  };
+}
+
+// A client that connects right away, and resolves `closed` with the close
+// event when the server closes the connection.
+function connect(url, connectionParams) {
+  let onClosed;
+  const closed = new Promise((resolve) => (onClosed = resolve));
+  const client = createClient({
+    url: url.replace(/^http/, "ws"),
+    webSocketImpl: WebSocket,
+    connectionParams,
+    lazy: false,
+    retryAttempts: 0,
+    on: { closed: (event) => onClosed(event) },
+  });
+  return { client, closed };
+}
+
+// Resolves with the first result of an operation, or its errors.
+function firstResult(client, query) {
+  return new Promise((resolve) => {
+    const unsubscribe = client.subscribe(
+      { query },
+      {
+        next: (result) => {
+          unsubscribe();
+          resolve(result);
+        },
+        error: (errors) => resolve({ errors }),
+        complete: () => {},
+      }
+    );
+  });
+}
+
+describe("signing in on a WebSocket connection", () => {
+  let server;
+  const clients = [];
+
+  beforeAll(async () => {
+    server = await startServer();
+  });
+
+  afterEach(async () => {
+    await Promise.all(clients.splice(0).map((client) => client.dispose()));
+  });
+
+  afterAll(() => server.stop());
+
+  function signIn(connectionParams) {
+    const connection = connect(server.url, connectionParams);
+    clients.push(connection.client);
+    return connection;
+  }
+
+  it("closes connections without a valid token with 4401", async () => {
+    for (const params of [{}, { authToken: "nonsense" }]) {
+      const { closed } = signIn(params);
+      const { code, reason } = await closed;
+      expect([code, reason]).toEqual([4401, "Unauthorized"]);
+    }
+    const { closed } = signIn({
+      authToken: jwt.sign({}, "another secret", { subject: ALICE }),
+    });
+    expect((await closed).code).toBe(4401);
+  });
+
+  it("closes the connection with 4403 when the token expires", async () => {
+    const { client, closed } = signIn({ authToken: token(ALICE, "2s") });
+    expect(await firstResult(client, "{ me }")).toEqual({
+      data: { me: "Alice" },
+    });
+    const { code, reason } = await closed;
+    expect([code, reason]).toEqual([4403, "Token expired"]);
+  });
+
+  it("only starts the subscriptions that the user may start", async () => {
+    const alice = signIn({ authToken: token(ALICE) }).client;
+    const bob = signIn({ authToken: token(BOB) }).client;
+
+    const allowed = await firstResult(
+      bob,
+      "subscription { numberIncremented }"
+    );
+    expect(typeof allowed.data.numberIncremented).toBe("number");
+
+    const denied = await firstResult(
+      bob,
+      `subscription { counter(id: "test") }`
+    );
+    expect(denied.errors.map(({ message }) => message)).toEqual([
+      "You may not subscribe to counter",
+    ]);
+    expect(denied.errors[0].extensions.code).toBe("FORBIDDEN");
+
+    const fromAlice = await firstResult(
+      alice,
+      "subscription { counterStateChanged { value } }"
+    );
+    expect(typeof fromAlice.data.counterStateChanged.value).toBe("number");
+  });
+
+  it("checks the fields that fragments select too", async () => {
+    const bob = signIn({ authToken: token(BOB) }).client;
+    const denied = await firstResult(
+      bob,
+      `subscription { ...State }
+      fragment State on Subscription {
+        ... on Subscription { counterStateChanged { running } }
+      }`
+    );
+    expect(denied.errors.map(({ message }) => message)).toEqual([
+      "You may not subscribe to counterStateChanged",
+    ]);
+  });
+});
+
+describe("the counter mutations", () => {
+  let server;
+
+  beforeAll(async () => {
+    server = await startServer();
+  });
+
+  afterAll(() => server.stop());
+
+  // Runs an operation over HTTP, with the user's token if there is one.
+  function run(query, userId) {
+    const headers = { "content-type": "application/json" };
+    if (userId) headers.authorization = `Bearer ${token(userId)}`;
+    return new Promise((resolve, reject) => {
+      const req = request(server.url, { method: "POST", headers }, (res) => {
+        let body = "";
+        res.on("data", (chunk) => (body += chunk));
+        res.on("end", () => resolve(JSON.parse(body)));
+      });
+      req.on("error", reject);
+      req.end(JSON.stringify({ query }));
+    });
+  }
+
+  it.each([
+    `mutation { incrementCounter(id: "test") }`,
+    `mutation { pauseCounter { running } }`,
+  ])("only run for a user who may change the counters: %s", async (query) => {
+    const anonymous = await run(query);
+    expect(anonymous.errors[0].extensions.code).toBe("UNAUTHENTICATED");
+    const bob = await run(query, BOB);
+    expect(bob.errors[0].extensions.code).toBe("FORBIDDEN");
+    const alice = await run(query, ALICE);
+    expect(alice.errors).toBeUndefined();
+  });
+
+  it("leaves a counter alone when the mutation is rejected", async () => {
+    await run(`mutation { incrementCounter(id: "rejected") }`);
+    await run(`mutation { incrementCounter(id: "rejected") }`, BOB);
+    const { data } = await run(`{ counter(id: "rejected") }`);
+    expect(data.counter).toBe(0);
+  });
+});
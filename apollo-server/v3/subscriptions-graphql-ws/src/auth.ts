@@ -0,0 +1,95 @@
+import jwt from "jsonwebtoken";
+
+export interface User {
+  id: string;
+  username: string;
+  name: string;
+  // The subscriptions this user may start, by field name
+  subscriptions: string[];
+  // The mutations that change the counters which this user may run, by field
+  // name
+  mutations: string[];
+}
+
+// The mutations that change the number or a named counter, which their
+// subscribers see the effect of
+const counterMutations = [
+  "incrementCounter",
+  "pauseCounter",
+  "resumeCounter",
+  "resetCounter",
+  "setCounterInterval",
+  "incrementBy",
+];
+
+// The example's users. A real server would look them up in a database.
+const users: User[] = [
+  {
+    id: "1",
+    username: "alice",
+    name: "Alice",
+    subscriptions: ["numberIncremented", "counter", "counterStateChanged"],
+    mutations: counterMutations,
+  },
+  {
+    id: "2",
+    username: "bob",
+    name: "Bob",
+    subscriptions: ["numberIncremented"],
+    mutations: [],
+  },
+];
+
+// Tokens are signed with this secret. Set AUTH_SECRET to your own value for
+// anything but a local demo: anyone who knows the secret can sign in as any
+// user.
+const secret = process.env.AUTH_SECRET || "subscriptions-example-secret";
+const expiresIn = process.env.AUTH_TOKEN_TTL || "1h";
+
+export function findUser(id: string) {
+  return users.find((user) => user.id === id);
+}
+
+export function findUserByName(username: string) {
+  return users.find((user) => user.username === username);
+}
+
+// Returns a signed token for the user, which expires after AUTH_TOKEN_TTL.
+export function createToken(user: User) {
+  return jwt.sign({}, secret, { subject: user.id, expiresIn });
+}
+
+export interface Session {
+  user: User;
+  // When the token expires, in milliseconds since the epoch
+  expiresAt: number;
+}
+
+// Returns the user for a token and when the token expires, or null if there's
+// no token, or it's invalid or expired.
+export function verifyToken(token: unknown): Session | null {
+  if (typeof token !== "string") return null;
+  try {
+    const { sub, exp } = jwt.verify(token, secret) as jwt.JwtPayload;
+    const user = sub && findUser(sub);
+    if (user && exp) return { user, expiresAt: exp * 1000 };
+  } catch (error) {
+    // Handled below
+  }
+  return null;
+}
+
+export function canSubscribe(user: User, field: string) {
+  return user.subscriptions.includes(field);
+}
+
+export function canMutate(user: User, field: string) {
+  return user.mutations.includes(field);
+}
+
+// Returns the user for an Authorization header of the form "Bearer <token>",
+// or undefined.
+export function userFromHeader(authorization: string | undefined) {
+  const token = authorization?.replace(/^Bearer /, "");
+  return verifyToken(token)?.user;
+}
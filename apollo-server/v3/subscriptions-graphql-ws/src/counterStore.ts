@@ -0,0 +1,140 @@
+import type { Redis, Cluster } from "ioredis";
+
+//
+// Where the server keeps the number and the named counters. Every process
+// that shares a store shares the numbers too, so that numberIncremented
+// counts up in one sequence however many processes send it, and pausing the
+// counter pauses it everywhere.
+//
+// Every process runs a timer for the counter, but only the one whose
+// claimTick() succeeds increments the number: at most one claim succeeds
+// every `ms` milliseconds.
+//
+export interface CounterState {
+  value: number;
+  running: boolean;
+  intervalMs: number;
+}
+
+export interface CounterStore {
+  state(): Promise<CounterState>;
+  // Resolves to the new value
+  incrementBy(n: number): Promise<number>;
+  setValue(value: number): Promise<void>;
+  // Resolves to whether that changed it
+  setRunning(running: boolean): Promise<boolean>;
+  setIntervalMs(ms: number): Promise<void>;
+  claimTick(ms: number): Promise<boolean>;
+  counter(id: string): Promise<number>;
+  // Resolves to the new value
+  incrementCounter(id: string, by: number): Promise<number>;
+}
+
+const INITIAL_STATE: CounterState = {
+  value: 0,
+  running: true,
+  intervalMs: 1000,
+};
+
+// Keeps the counters in memory, for a single process.
+export class MemoryCounterStore implements CounterStore {
+  private counterState = { ...INITIAL_STATE };
+  private counters = new Map<string, number>();
+
+  async state() {
+    return { ...this.counterState };
+  }
+
+  async incrementBy(n: number) {
+    this.counterState.value += n;
+    return this.counterState.value;
+  }
+
+  async setValue(value: number) {
+    this.counterState.value = value;
+  }
+
+  async setRunning(running: boolean) {
+    const changed = this.counterState.running !== running;
+    this.counterState.running = running;
+    return changed;
+  }
+
+  async setIntervalMs(ms: number) {
+    this.counterState.intervalMs = ms;
+  }
+
+  // There's no other process to take turns with.
+  async claimTick() {
+    return true;
+  }
+
+  async counter(id: string) {
+    return this.counters.get(id) ?? 0;
+  }
+
+  async incrementCounter(id: string, by: number) {
+    const value = (this.counters.get(id) ?? 0) + by;
+    this.counters.set(id, value);
+    return value;
+  }
+}
+
+// Keeps the counters in Redis, for every process that uses the same Redis.
+// Each change is a single Redis command, so changes from different processes
+// can't undo each other.
+export class RedisCounterStore implements CounterStore {
+  constructor(private redis: Redis | Cluster) {}
+
+  async state() {
+    const [value, running, intervalMs] = await this.redis.mget(
+      "counter:value",
+      "counter:running",
+      "counter:intervalMs"
+    );
+    return {
+      value: value === null ? INITIAL_STATE.value : Number(value),
+      running: running === null ? INITIAL_STATE.running : running === "1",
+      intervalMs:
+        intervalMs === null ? INITIAL_STATE.intervalMs : Number(intervalMs),
+    };
+  }
+
+  async incrementBy(n: number) {
+    return this.redis.incrby("counter:value", n);
+  }
+
+  async setValue(value: number) {
+    await this.redis.set("counter:value", value);
+  }
+
+  async setRunning(running: boolean) {
+    const previous = await this.redis.getset(
+      "counter:running",
+      running ? "1" : "0"
+    );
+    const wasRunning =
+      previous === null ? INITIAL_STATE.running : previous === "1";
+    return wasRunning !== running;
+  }
+
+  async setIntervalMs(ms: number) {
+    await this.redis.set("counter:intervalMs", ms);
+  }
+
+  // The claim is a key that only one process can set, which expires after
+  // `ms` milliseconds.
+  async claimTick(ms: number) {
+    const claimed = await this.redis.set("counter:tick", "1", "PX", ms, "NX");
+    return claimed === "OK";
+  }
+
+  async counter(id: string) {
+    const value = await this.redis.hget("counters", id);
+    return value === null ? 0 : Number(value);
+  }
+
+  async incrementCounter(id: string, by: number) {
+    return this.redis.hincrby("counters", id, by);
+  }
+}
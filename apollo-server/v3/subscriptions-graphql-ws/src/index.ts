@@ -1,36 +1,296 @@
 import { createServer } from "http";
 import express from "express";
-import { ApolloServer, gql } from "apollo-server-express";
+import {
+  ApolloServer,
+  AuthenticationError,
+  ForbiddenError,
+  gql,
+  UserInputError,
+} from "apollo-server-express";
 import { ApolloServerPluginDrainHttpServer } from "apollo-server-core";
-import { PubSub } from "graphql-subscriptions";
+import { withFilter } from "graphql-subscriptions";
 import { makeExecutableSchema } from "@graphql-tools/schema";
+import {
+  DocumentNode,
+  getOperationAST,
+  GraphQLError,
+  Kind,
+  parse,
+  SelectionSetNode,
+  validate,
+} from "graphql";
 import { WebSocketServer } from "ws";
-import { useServer } from "graphql-ws/lib/use/ws";
+import { CloseCode } from "graphql-ws";
+import { Extra, useServer } from "graphql-ws/lib/use/ws";
+import {
+  canMutate,
+  canSubscribe,
+  User,
+  userFromHeader,
+  verifyToken,
+} from "./auth.js";
+import { CounterState } from "./counterStore.js";
+import { createPubSub, readPubSubConfig } from "./pubsub.js";
 
-const PORT = 4000;
-const pubsub = new PubSub();
+const PORT = Number(process.env.PORT) || 4000;
+
+// The PubSub engine comes from the environment: see pubsub.ts. The server
+// can't start without it.
+const {
+  pubsub,
+  counterStore,
+  close: closePubSub,
+} = await createPubSub(readPubSubConfig()).catch((error: Error) => {
+  console.error(error.message);
+  process.exit(1);
+});
 
 // Schema definition
 const typeDefs = gql`
+  "The number that the server increments, and how it increments it"
+  type CounterState {
+    value: Int!
+    "Whether the server increments the number on its own"
+    running: Boolean!
+    "How long the server waits between increments, in milliseconds"
+    intervalMs: Int!
+  }
+
   type Query {
     currentNumber: Int
+    counterState: CounterState!
+    "The name of the user signed in on this WebSocket connection"
+    me: String
+    "The current value of a named counter, which starts at 0"
+    counter(id: ID!): Int!
+  }
+
+  type Mutation {
+    "Adds \`by\` to a named counter, and returns its new value"
+    incrementCounter(id: ID!, by: Int = 1): Int!
+    "Stops incrementing the number on a timer"
+    pauseCounter: CounterState!
+    "Starts incrementing the number on a timer again"
+    resumeCounter: CounterState!
+    "Sets the number, without sending it to numberIncremented"
+    resetCounter(to: Int = 0): CounterState!
+    "Sets how long the server waits between increments"
+    setCounterInterval(ms: Int!): CounterState!
+    "Increments the number right away, whether or not the counter is paused"
+    incrementBy(n: Int = 1): CounterState!
   }
 
   type Subscription {
-    numberIncremented: Int
+    """
+    The number, each time it's incremented. With \`multipleOf\`, only numbers
+    divisible by it are sent, and with \`min\`, only numbers from \`min\` up.
+    """
+    numberIncremented(multipleOf: Int, min: Int): Int
+    "A named counter's value, each time it changes"
+    counter(id: ID!): Int!
+    "The counter's state, each time it changes"
+    counterStateChanged: CounterState!
   }
 `;
 
+// Resolvers get the user who signed in on the WebSocket connection, or with
+// the Authorization header over HTTP. Without a token, there's no user.
+interface Context {
+  user?: User;
+}
+
+// Fails unless there's a user, and they may run the mutation `field`. Every
+// subscriber sees what the mutations of the number and the named counters
+// do, so they aren't open to anyone who can reach the server.
+function checkMutation({ user }: Context, field: string) {
+  if (!user) throw new AuthenticationError(`Sign in to run ${field}`);
+  if (!canMutate(user, field)) {
+    throw new ForbiddenError(`You may not run ${field}`);
+  }
+}
+
+interface NumberIncrementedArgs {
+  multipleOf?: number | null;
+  min?: number | null;
+}
+
+// The shortest interval setCounterInterval accepts, in milliseconds
+const MIN_INTERVAL = 100;
+
+//
+// The number, which the server increments every `intervalMs` milliseconds
+// while the counter is running, and the named counters are kept in the
+// counter store. Every process of the server that uses the same PubSub
+// engine shares them (see counterStore.ts).
+//
+// Each process keeps a timer for the next increment, and restarts it from
+// every counterStateChanged event, whichever process published it. So
+// pausing, resuming or changing the interval in one process changes it in
+// all of them.
+//
+let timer: NodeJS.Timeout | undefined;
+// The counter's state when the timer was last started
+let scheduledState = await counterStore.state();
+let stopped = false;
+
+// Publishes the counter's current state, and returns it.
+async function publishCounterState() {
+  const counterState = await counterStore.state();
+  await pubsub.publish("COUNTER_STATE_CHANGED", {
+    counterStateChanged: counterState,
+  });
+  return counterState;
+}
+
+async function incrementNumber(n = 1) {
+  const value = await counterStore.incrementBy(n);
+  await pubsub.publish("NUMBER_INCREMENTED", { numberIncremented: value });
+  return publishCounterState();
+}
+
+// Waits `intervalMs` from now for the next increment, if the counter is
+// running.
+function scheduleTick(counterState: CounterState) {
+  clearTimeout(timer);
+  scheduledState = counterState;
+  if (counterState.running && !stopped) {
+    timer = setTimeout(tick, counterState.intervalMs);
+  }
+}
+
+// Increments the number, unless another process already has in this
+// interval. Incrementing publishes the new state, which starts the timer
+// again.
+async function tick() {
+  try {
+    const counterState = await counterStore.state();
+    if (
+      counterState.running &&
+      (await counterStore.claimTick(counterState.intervalMs))
+    ) {
+      await incrementNumber();
+    } else {
+      scheduleTick(counterState);
+    }
+  } catch (error) {
+    // Once the server stops, the PubSub's connections are closed.
+    if (stopped) return;
+    console.error("Couldn't increment the number:", error);
+    scheduleTick(scheduledState);
+  }
+}
+
+const stateSubscription = await pubsub.subscribe(
+  "COUNTER_STATE_CHANGED",
+  ({ counterStateChanged }: { counterStateChanged: CounterState }) =>
+    scheduleTick(counterStateChanged),
+  {}
+);
+
+// Each named counter publishes on a topic of its own, so an increment only
+// reaches the subscribers of that counter.
+function counterTopic(id: string) {
+  return `COUNTER_CHANGED.${id}`;
+}
+
 // Resolver map
 const resolvers = {
   Query: {
-    currentNumber() {
-      return currentNumber;
+    async currentNumber() {
+      return (await counterStore.state()).value;
+    },
+    counterState() {
+      return counterStore.state();
+    },
+    me(_: unknown, __: unknown, { user }: Context) {
+      return user?.name ?? null;
+    },
+    counter(_: unknown, { id }: { id: string }) {
+      return counterStore.counter(id);
+    },
+  },
+  Mutation: {
+    async incrementCounter(
+      _: unknown,
+      { id, by }: { id: string; by: number },
+      context: Context
+    ) {
+      checkMutation(context, "incrementCounter");
+      const value = await counterStore.incrementCounter(id, by);
+      await pubsub.publish(counterTopic(id), { counter: value });
+      return value;
+    },
+    async pauseCounter(_: unknown, __: unknown, context: Context) {
+      checkMutation(context, "pauseCounter");
+      const changed = await counterStore.setRunning(false);
+      return changed ? publishCounterState() : counterStore.state();
+    },
+    async resumeCounter(_: unknown, __: unknown, context: Context) {
+      checkMutation(context, "resumeCounter");
+      const changed = await counterStore.setRunning(true);
+      return changed ? publishCounterState() : counterStore.state();
+    },
+    async resetCounter(_: unknown, { to }: { to: number }, context: Context) {
+      checkMutation(context, "resetCounter");
+      await counterStore.setValue(to);
+      return publishCounterState();
+    },
+    async setCounterInterval(
+      _: unknown,
+      { ms }: { ms: number },
+      context: Context
+    ) {
+      checkMutation(context, "setCounterInterval");
+      if (ms < MIN_INTERVAL) {
+        throw new UserInputError(`ms must be at least ${MIN_INTERVAL}`, {
+          invalidArgs: ["ms"],
+        });
+      }
+      await counterStore.setIntervalMs(ms);
+      // The new interval counts from now.
+      return publishCounterState();
+    },
+    async incrementBy(_: unknown, { n }: { n: number }, context: Context) {
+      checkMutation(context, "incrementBy");
+      if (n <= 0) {
+        throw new UserInputError("n must be positive", {
+          invalidArgs: ["n"],
+        });
+      }
+      return incrementNumber(n);
     },
   },
   Subscription: {
     numberIncremented: {
-      subscribe: () => pubsub.asyncIterator(["NUMBER_INCREMENTED"]),
+      //
+      // Every subscriber listens on the same topic. withFilter checks each
+      // event against the subscriber's own arguments before it's sent, so
+      // a subscriber only gets the numbers it asked for, and the rest are
+      // dropped without running the subscription's resolvers.
+      //
+      subscribe: withFilter(
+        (_: unknown, { multipleOf }: NumberIncrementedArgs) => {
+          if (multipleOf != null && multipleOf <= 0) {
+            throw new UserInputError("multipleOf must be positive", {
+              invalidArgs: ["multipleOf"],
+            });
+          }
+          return pubsub.asyncIterator(["NUMBER_INCREMENTED"]);
+        },
+        (
+          { numberIncremented }: { numberIncremented: number },
+          { multipleOf, min }: NumberIncrementedArgs
+        ) =>
+          (multipleOf == null || numberIncremented % multipleOf === 0) &&
+          (min == null || numberIncremented >= min)
+      ),
+    },
+    counter: {
+      subscribe: (_: unknown, { id }: { id: string }) =>
+        pubsub.asyncIterator([counterTopic(id)]),
+    },
+    counterStateChanged: {
+      subscribe: () => pubsub.asyncIterator(["COUNTER_STATE_CHANGED"]),
     },
   },
 };
@@ -49,11 +309,130 @@ const wsServer = new WebSocketServer({
   server: httpServer,
   path: "/graphql",
 });
-const serverCleanup = useServer({ schema }, wsServer);
+
+// The names of the fields an operation selects at its root, including the
+// ones in its fragments
+function rootFields(
+  document: DocumentNode,
+  selectionSet: SelectionSetNode
+): string[] {
+  return selectionSet.selections.flatMap((selection) => {
+    if (selection.kind === Kind.FIELD) return [selection.name.value];
+    if (selection.kind === Kind.INLINE_FRAGMENT) {
+      return rootFields(document, selection.selectionSet);
+    }
+    const fragment = document.definitions.find(
+      (definition) =>
+        definition.kind === Kind.FRAGMENT_DEFINITION &&
+        definition.name.value === selection.name.value
+    );
+    return fragment?.kind === Kind.FRAGMENT_DEFINITION
+      ? rootFields(document, fragment.selectionSet)
+      : [];
+  });
+}
+
+// What we keep for each connection, besides graphql-ws's socket and request
+type ConnectionExtra = {
+  user: User;
+  expiryTimer: NodeJS.Timeout;
+};
+
+// setTimeout can't wait longer than this, about 24.8 days. A longer delay
+// overflows, and the callback runs right away.
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// Closes the socket with 4403 Forbidden once the token expires. A token can
+// outlive the longest timer, so the wait may take several timers.
+function closeOnExpiry(
+  extra: Extra & Partial<ConnectionExtra>,
+  expiresAt: number
+) {
+  const delay = expiresAt - Date.now();
+  extra.expiryTimer = setTimeout(() => {
+    if (delay > MAX_TIMER_DELAY) {
+      closeOnExpiry(extra, expiresAt);
+    } else {
+      extra.socket.close(CloseCode.Forbidden, "Token expired");
+    }
+  }, Math.min(delay, MAX_TIMER_DELAY));
+}
+
+//
+// Every connection must sign in: the client sends a token in its
+// connectionParams, such as `{ authToken: "..." }`, and a connection without a
+// valid token is closed with 4401 Unauthorized. The user stays on the socket,
+// for resolvers to find in their context, until the token expires. Then the
+// socket is closed with 4403 Forbidden, which graphql-ws clients retry, so a
+// client can reconnect with a fresh token.
+//
+const serverCleanup = useServer<ConnectionExtra>(
+  {
+    schema,
+    context: (ctx): Context => ({ user: ctx.extra.user }),
+    onConnect: (ctx) => {
+      const { socket } = ctx.extra;
+      const session = verifyToken(ctx.connectionParams?.authToken);
+      if (!session) {
+        socket.close(CloseCode.Unauthorized, "Unauthorized");
+        // graphql-ws would close the socket with 4403 Forbidden, but it's
+        // closed already.
+        return false;
+      }
+      ctx.extra.user = session.user;
+      closeOnExpiry(ctx.extra, session.expiresAt);
+      return true;
+    },
+    onClose: (ctx) => {
+      clearTimeout(ctx.extra.expiryTimer);
+    },
+    //
+    // Checks that the user may start each subscription in the operation. A
+    // subscription that the user may not start fails with a FORBIDDEN error,
+    // and the connection stays open for the others.
+    //
+    // When onSubscribe returns the execution arguments, graphql-ws uses them
+    // as they are, so we parse and validate the operation here.
+    //
+    onSubscribe: (ctx, { payload }) => {
+      let document: DocumentNode;
+      try {
+        document = parse(payload.query);
+      } catch (error) {
+        return [error as GraphQLError];
+      }
+      const errors = validate(schema, document);
+      if (errors.length > 0) return errors;
+
+      const operation = getOperationAST(document, payload.operationName);
+      if (operation?.operation === "subscription") {
+        const user = ctx.extra.user as User;
+        const denied = rootFields(document, operation.selectionSet).filter(
+          (field) => !field.startsWith("__") && !canSubscribe(user, field)
+        );
+        if (denied.length > 0) {
+          return denied.map(
+            (field) => new ForbiddenError(`You may not subscribe to ${field}`)
+          );
+        }
+      }
+      return {
+        schema,
+        document,
+        operationName: payload.operationName,
+        variableValues: payload.variables,
+      };
+    },
+  },
+  wsServer
+);
 
 // Set up ApolloServer.
 const server = new ApolloServer({
   schema,
+  context: ({ req }): Context => ({
+    user: userFromHeader(req.headers.authorization),
+  }),
   plugins: [
     // Proper shutdown for the HTTP server.
     ApolloServerPluginDrainHttpServer({ httpServer }),
@@ -65,6 +444,12 @@ const server = new ApolloServer({
           async drainServer() {
             await serverCleanup.dispose();
           },
+          async serverWillStop() {
+            stopped = true;
+            clearTimeout(timer);
+            pubsub.unsubscribe(stateSubscription);
+            await closePubSub();
+          },
         };
       },
     },
@@ -85,11 +470,4 @@ httpServer.listen(PORT, () => {
 
 // In the background, increment a number every second and notify subscribers when
 // it changes.
-let currentNumber = 0;
-function incrementNumber() {
-  currentNumber++;
-  pubsub.publish("NUMBER_INCREMENTED", { numberIncremented: currentNumber });
-  setTimeout(incrementNumber, 1000);
-}
-// Start incrementing
-incrementNumber();
+await tick();
@@ -0,0 +1,458 @@
+const WebSocket = require("ws");
+const { createClient } = require("graphql-ws");
+const { SubscriptionClient } = require("subscriptions-transport-ws");
+const { startServer } = require("../server");
+const { readPubSubConfig } = require("../pubsub");
+const { startRedisStandIn } = require("../redisStandIn");
+
+const COUNTER_SUBSCRIPTION = `subscription { counter(id: "test") }`;
+
+// Runs a mutation against the server, and returns the counter's new value.
+async function incrementCounter(server, by) {
+  const { data } = await server.executeOperation({
+    query: `mutation ($by: Int) { incrementCounter(id: "test", by: $by) }`,
+    variables: { by },
+  });
+  return data.incrementCounter;
+}
+
+// Runs an operation against the server, and returns its result.
+function run(server, query, variables) {
+  return server.executeOperation({ query, variables });
+}
+
+// Keeps every value of `field` that a subscription gets, and lets a test wait
+// for the next one.
+function collect(field = "counter") {
+  const values = [];
+  let waiters = [];
+  return {
+    values,
+    sink: {
+      next: ({ data }) => {
+        values.push(data[field]);
+        waiters.forEach((resolve) => resolve());
+        waiters = [];
+      },
+      error: (error) => {
+        throw error;
+      },
+      complete: () => {},
+    },
+    // Resolves when the subscription has got `count` values
+    async waitFor(count) {
+      while (values.length < count) {
+        await new Promise((resolve) => waiters.push(resolve));
+      }
+    },
+  };
+}
+
+// The server starts listening for a subscription's events a moment after the
+// client subscribes, so this calls `poke` until every subscription has seen
+// an event.
+async function untilReceived(subscriptions, poke) {
+  while (subscriptions.some(({ values }) => values.length === 0)) {
+    await poke();
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+function last(values) {
+  return values[values.length - 1];
+}
+
+// A client for the graphql-transport-ws protocol
+function graphqlWsClient(url, on = {}) {
+  return createClient({
+    url: url.replace(/^http/, "ws"),
+    webSocketImpl: WebSocket,
+    retryAttempts: 0,
+    on,
+  });
+}
+
+describe("a server for both subscription protocols", () => {
+  let server, url, wsUrl;
+
+  beforeEach(async () => {
+    ({ server, url } = await startServer({ port: 0 }));
+    wsUrl = url.replace(/^http/, "ws");
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  // A client for subscriptions-transport-ws's graphql-ws protocol
+  function legacyClient() {
+    return new SubscriptionClient(wsUrl, { reconnect: false }, WebSocket);
+  }
+
+  it("sends the same events to clients of both protocols", async () => {
+    const client = graphqlWsClient(url);
+    const legacy = legacyClient();
+    const received = collect();
+    const legacyReceived = collect();
+    client.subscribe({ query: COUNTER_SUBSCRIPTION }, received.sink);
+    legacy
+      .request({ query: COUNTER_SUBSCRIPTION })
+      .subscribe(legacyReceived.sink);
+
+    let value = 0;
+    await untilReceived([received, legacyReceived], async () => {
+      value = await incrementCounter(server, 1);
+    });
+    expect(last(received.values)).toBe(value);
+    expect(last(legacyReceived.values)).toBe(value);
+
+    const count = received.values.length;
+    const legacyCount = legacyReceived.values.length;
+    await incrementCounter(server, 10);
+    await received.waitFor(count + 1);
+    await legacyReceived.waitFor(legacyCount + 1);
+    expect(received.values[count]).toBe(value + 10);
+    expect(legacyReceived.values[legacyCount]).toBe(value + 10);
+
+    await client.dispose();
+    legacy.close();
+  });
+
+  it("answers each protocol in its own protocol", async () => {
+    for (const protocol of ["graphql-transport-ws", "graphql-ws"]) {
+      const socket = new WebSocket(wsUrl, protocol);
+      const message = new Promise((resolve) =>
+        socket.once("message", (data) => resolve(JSON.parse(data)))
+      );
+      await new Promise((resolve) => socket.once("open", resolve));
+      expect(socket.protocol).toBe(protocol);
+
+      socket.send(JSON.stringify({ type: "connection_init", payload: {} }));
+      expect(await message).toEqual({ type: "connection_ack" });
+      socket.close();
+    }
+  });
+
+  it("closes connections that speak neither protocol", async () => {
+    const socket = new WebSocket(wsUrl, "chat");
+    const [code] = await new Promise((resolve) =>
+      socket.once("close", (...args) => resolve(args))
+    );
+    expect(code).toBe(1002);
+  });
+
+  it("closes the connections of both protocols when it stops", async () => {
+    let connected;
+    const closed = new Promise((resolve) => {
+      connected = new Promise((resolveConnected) => {
+        const client = graphqlWsClient(url, {
+          connected: resolveConnected,
+          closed: resolve,
+        });
+        client.subscribe(
+          { query: COUNTER_SUBSCRIPTION },
+          { next: () => {}, error: () => {}, complete: () => {} }
+        );
+      });
+    });
+    const legacy = legacyClient();
+    const legacyClosed = new Promise((resolve) =>
+      legacy.client.once("close", resolve)
+    );
+    await connected;
+    await new Promise((resolve) => legacy.onConnected(resolve));
+
+    await server.stop();
+
+    expect((await closed).code).toBe(1001);
+    expect(await legacyClosed).toBe(1001);
+  });
+});
+
+describe("the number counter", () => {
+  let server, url;
+
+  beforeEach(async () => {
+    ({ server, url } = await startServer({ port: 0 }));
+  });
+
+  afterEach(async () => {
+    await server.stop();
+  });
+
+  it("starts running, once a second", async () => {
+    const { data } = await run(
+      server,
+      `{ counterState { running intervalMs } }`
+    );
+    expect(data.counterState).toEqual({ running: true, intervalMs: 1000 });
+  });
+
+  it("only changes when asked while it's paused", async () => {
+    await run(server, `mutation { pauseCounter { running } }`);
+    await run(server, `mutation { resetCounter(to: 10) { value } }`);
+    const { data } = await run(
+      server,
+      `mutation { incrementBy(n: 5) { value running } }`
+    );
+    expect(data.incrementBy).toEqual({ value: 15, running: false });
+
+    const { data: current } = await run(
+      server,
+      `{ currentNumber counterState { value } }`
+    );
+    expect(current).toEqual({
+      currentNumber: 15,
+      counterState: { value: 15 },
+    });
+  });
+
+  it("sends each increment and state change to subscribers", async () => {
+    await run(server, `mutation { pauseCounter { running } }`);
+    const client = graphqlWsClient(url);
+    const numbers = collect("numberIncremented");
+    const states = collect("counterStateChanged");
+    client.subscribe(
+      { query: `subscription { numberIncremented }` },
+      numbers.sink
+    );
+    client.subscribe(
+      { query: `subscription { counterStateChanged { value running } }` },
+      states.sink
+    );
+    await untilReceived([numbers, states], () =>
+      run(server, `mutation { incrementBy { value } }`)
+    );
+
+    const value = last(numbers.values);
+    const count = numbers.values.length;
+    const stateCount = states.values.length;
+    await run(server, `mutation { incrementBy(n: 5) { value } }`);
+    await run(server, `mutation { resumeCounter { running } }`);
+    await numbers.waitFor(count + 1);
+    await states.waitFor(stateCount + 2);
+
+    expect(numbers.values[count]).toBe(value + 5);
+    expect(states.values.slice(stateCount, stateCount + 2)).toEqual([
+      { value: value + 5, running: false },
+      { value: value + 5, running: true },
+    ]);
+
+    await client.dispose();
+  });
+
+  it("increments on the interval it's given", async () => {
+    await run(server, `mutation { pauseCounter { running } }`);
+    await run(
+      server,
+      `mutation { setCounterInterval(ms: 100) { intervalMs } }`
+    );
+    const client = graphqlWsClient(url);
+    const numbers = collect("numberIncremented");
+    client.subscribe(
+      { query: `subscription { numberIncremented }` },
+      numbers.sink
+    );
+    await untilReceived([numbers], () =>
+      run(server, `mutation { incrementBy { value } }`)
+    );
+
+    const value = last(numbers.values);
+    const count = numbers.values.length;
+    await run(server, `mutation { resumeCounter { running } }`);
+    await numbers.waitFor(count + 2);
+    expect(numbers.values.slice(count, count + 2)).toEqual([
+      value + 1,
+      value + 2,
+    ]);
+
+    await client.dispose();
+  });
+
+  it("rejects intervals that are too short and increments that aren't positive", async () => {
+    const interval = await run(
+      server,
+      `mutation { setCounterInterval(ms: 10) { intervalMs } }`
+    );
+    expect(interval.errors[0].message).toBe("ms must be at least 100");
+    const increment = await run(
+      server,
+      `mutation { incrementBy(n: 0) { value } }`
+    );
+    expect(increment.errors[0].message).toBe("n must be positive");
+
+    const { data } = await run(server, `{ counterState { intervalMs } }`);
+    expect(data.counterState.intervalMs).toBe(1000);
+  });
+
+  it("only sends the numbers that pass a subscription's filters", async () => {
+    await run(server, `mutation { pauseCounter { running } }`);
+    // Below `min`, so that nothing passes the filters until the test starts
+    await run(server, `mutation { resetCounter(to: -1000) { value } }`);
+    const client = graphqlWsClient(url);
+    const filtered = collect("numberIncremented");
+    const all = collect("numberIncremented");
+    client.subscribe(
+      { query: `subscription { numberIncremented(multipleOf: 3, min: 5) }` },
+      filtered.sink
+    );
+    client.subscribe({ query: `subscription { numberIncremented }` }, all.sink);
+    await untilReceived([all], () =>
+      run(server, `mutation { incrementBy { value } }`)
+    );
+    expect(filtered.values).toEqual([]);
+
+    await run(server, `mutation { resetCounter { value } }`);
+    const count = all.values.length;
+    for (const n of [1, 2, 2, 1, 3, 3, 1, 2]) {
+      await run(server, `mutation ($n: Int) { incrementBy(n: $n) { value } }`, {
+        n,
+      });
+    }
+    await all.waitFor(count + 8);
+    await filtered.waitFor(4);
+    expect(all.values.slice(count)).toEqual([1, 3, 5, 6, 9, 12, 13, 15]);
+    expect(filtered.values).toEqual([6, 9, 12, 15]);
+
+    await client.dispose();
+  });
+
+  it("rejects a multipleOf that isn't positive", async () => {
+    const client = graphqlWsClient(url);
+    // The subscription's one result holds the error, and then it completes.
+    const results = [];
+    await new Promise((resolve, reject) =>
+      client.subscribe(
+        { query: `subscription { numberIncremented(multipleOf: 0) }` },
+        {
+          next: (result) => results.push(result),
+          error: reject,
+          complete: resolve,
+        }
+      )
+    );
+    expect(results).toHaveLength(1);
+    expect(results[0].errors.map(({ message }) => message)).toEqual([
+      "multipleOf must be positive",
+    ]);
+    expect(results[0].errors[0].extensions.code).toBe("BAD_USER_INPUT");
+
+    await client.dispose();
+  });
+});
+
+describe("the PubSub engine", () => {
+  it("is in memory unless the environment says otherwise", () => {
+    expect(readPubSubConfig({})).toEqual({
+      engine: "memory",
+      redisUrl: "redis://localhost:6379",
+    });
+    expect(
+      readPubSubConfig({
+        PUBSUB_ENGINE: "redis",
+        REDIS_URL: "redis://redis.internal:6380",
+      })
+    ).toEqual({ engine: "redis", redisUrl: "redis://redis.internal:6380" });
+    expect(() => readPubSubConfig({ PUBSUB_ENGINE: "kafka" })).toThrow(
+      'Unknown PUBSUB_ENGINE "kafka". Use one of: memory, redis'
+    );
+  });
+
+  it("fails to start when it can't reach Redis", async () => {
+    // Nothing listens on a stand-in's port once it's stopped.
+    const redis = await startRedisStandIn({ port: 0 });
+    await redis.stop();
+    // graphql-redis-subscriptions logs each connection error too.
+    const consoleError = jest
+      .spyOn(console, "error")
+      .mockImplementation(() => {});
+    await expect(
+      startServer({
+        port: 0,
+        pubsub: { engine: "redis", redisUrl: redis.url },
+      })
+    ).rejects.toThrow(`Couldn't connect to Redis at ${redis.url}`);
+    consoleError.mockRestore();
+  });
+
+  describe("with two server processes", () => {
+    let redis, servers, client;
+
+    // Starts two servers with the same engine. Both run in this process,
+    // but share nothing except what goes through the engine.
+    async function startServers(pubsub) {
+      servers = [
+        await startServer({ port: 0, pubsub }),
+        await startServer({ port: 0, pubsub }),
+      ];
+      client = graphqlWsClient(servers[0].url);
+    }
+
+    beforeEach(async () => {
+      redis = await startRedisStandIn({ port: 0 });
+    });
+
+    afterEach(async () => {
+      await client.dispose();
+      await Promise.all(servers.map(({ server }) => server.stop()));
+      await redis.stop();
+    });
+
+    it("sends events from either one to subscribers of both with redis", async () => {
+      await startServers({ engine: "redis", redisUrl: redis.url });
+      const [first, second] = servers;
+      const received = collect();
+      client.subscribe({ query: COUNTER_SUBSCRIPTION }, received.sink);
+
+      let value = 0;
+      await untilReceived([received], async () => {
+        value = await incrementCounter(second.server, 1);
+      });
+      expect(last(received.values)).toBe(value);
+
+      // The counters are shared too.
+      const count = received.values.length;
+      await incrementCounter(first.server, 100);
+      await incrementCounter(second.server, 10);
+      await received.waitFor(count + 2);
+      expect(received.values.slice(count, count + 2)).toEqual([
+        value + 100,
+        value + 110,
+      ]);
+    });
+
+    it("counts the number in one sequence with redis", async () => {
+      await startServers({ engine: "redis", redisUrl: redis.url });
+      const [first, second] = servers;
+      await run(first.server, `mutation { pauseCounter { running } }`);
+      const { data } = await run(second.server, `{ counterState { running } }`);
+      expect(data.counterState.running).toBe(false);
+
+      const values = [];
+      for (const { server } of [first, second, first, second]) {
+        const result = await run(server, `mutation { incrementBy { value } }`);
+        values.push(result.data.incrementBy.value);
+      }
+      expect(values).toEqual([1, 2, 3, 4].map((n) => values[0] + n - 1));
+    });
+
+    it("keeps events in the process that published them in memory", async () => {
+      await startServers({ engine: "memory" });
+      const [first, second] = servers;
+      const received = collect();
+      client.subscribe({ query: COUNTER_SUBSCRIPTION }, received.sink);
+
+      let value = 0;
+      await untilReceived([received], async () => {
+        value = await incrementCounter(first.server, 1);
+      });
+
+      const count = received.values.length;
+      await incrementCounter(second.server, 100);
+      await incrementCounter(first.server, 10);
+      await received.waitFor(count + 1);
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      expect(received.values.slice(count)).toEqual([value + 10]);
+    });
+  });
+});
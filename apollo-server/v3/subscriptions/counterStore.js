@@ -0,0 +1,138 @@
+// @ts-check
+
+//
+// Where the server keeps the number and the named counters. Every process
+// that shares a store shares the numbers too, so that numberIncremented
+// counts up in one sequence however many processes send it, and pausing the
+// counter pauses it everywhere. Both stores implement the same async
+// interface:
+//
+//   state()                  -> Promise<CounterState>
+//   incrementBy(n)           -> Promise<number>   (resolves to the new value)
+//   setValue(value)          -> Promise<void>
+//   setRunning(running)      -> Promise<boolean>  (whether that changed it)
+//   setIntervalMs(ms)        -> Promise<void>
+//   claimTick(ms)            -> Promise<boolean>
+//   counter(id)              -> Promise<number>
+//   incrementCounter(id, by) -> Promise<number>   (resolves to the new value)
+//
+// Every process runs a timer for the counter, but only the one whose
+// claimTick() succeeds increments the number: at most one claim succeeds
+// every `ms` milliseconds.
+//
+
+/** @typedef {{ value: number, running: boolean, intervalMs: number }} CounterState */
+
+/** @type {CounterState} */
+const INITIAL_STATE = { value: 0, running: true, intervalMs: 1000 };
+
+// Keeps the counters in memory, for a single process.
+class MemoryCounterStore {
+  constructor() {
+    this.counterState = { ...INITIAL_STATE };
+    /** @type {Map<string, number>} */
+    this.counters = new Map();
+  }
+
+  async state() {
+    return { ...this.counterState };
+  }
+
+  async incrementBy(n) {
+    this.counterState.value += n;
+    return this.counterState.value;
+  }
+
+  async setValue(value) {
+    this.counterState.value = value;
+  }
+
+  async setRunning(running) {
+    const changed = this.counterState.running !== running;
+    this.counterState.running = running;
+    return changed;
+  }
+
+  async setIntervalMs(ms) {
+    this.counterState.intervalMs = ms;
+  }
+
+  // There's no other process to take turns with.
+  async claimTick() {
+    return true;
+  }
+
+  async counter(id) {
+    return this.counters.get(id) ?? 0;
+  }
+
+  async incrementCounter(id, by) {
+    const value = (this.counters.get(id) ?? 0) + by;
+    this.counters.set(id, value);
+    return value;
+  }
+}
+
+// Keeps the counters in Redis, for every process that uses the same Redis.
+// Each change is a single Redis command, so changes from different processes
+// can't undo each other.
+class RedisCounterStore {
+  /** @param {import("ioredis").Redis | import("ioredis").Cluster} redis */
+  constructor(redis) {
+    this.redis = redis;
+  }
+
+  async state() {
+    const [value, running, intervalMs] = await this.redis.mget(
+      "counter:value",
+      "counter:running",
+      "counter:intervalMs"
+    );
+    return {
+      value: value === null ? INITIAL_STATE.value : Number(value),
+      running: running === null ? INITIAL_STATE.running : running === "1",
+      intervalMs:
+        intervalMs === null ? INITIAL_STATE.intervalMs : Number(intervalMs),
+    };
+  }
+
+  async incrementBy(n) {
+    return this.redis.incrby("counter:value", n);
+  }
+
+  async setValue(value) {
+    await this.redis.set("counter:value", value);
+  }
+
+  async setRunning(running) {
+    const previous = await this.redis.getset(
+      "counter:running",
+      running ? "1" : "0"
+    );
+    const wasRunning =
+      previous === null ? INITIAL_STATE.running : previous === "1";
+    return wasRunning !== running;
+  }
+
+  async setIntervalMs(ms) {
+    await this.redis.set("counter:intervalMs", ms);
+  }
+
+  // The claim is a key that only one process can set, which expires after
+  // `ms` milliseconds.
+  async claimTick(ms) {
+    const claimed = await this.redis.set("counter:tick", "1", "PX", ms, "NX");
+    return claimed === "OK";
+  }
+
+  async counter(id) {
+    const value = await this.redis.hget("counters", id);
+    return value === null ? 0 : Number(value);
+  }
+
+  async incrementCounter(id, by) {
+    return this.redis.hincrby("counters", id, by);
+  }
+}
+
+module.exports = { MemoryCounterStore, RedisCounterStore };
@@ -0,0 +1,102 @@
+// @ts-check
+const { PubSub } = require("graphql-subscriptions");
+const { RedisPubSub } = require("graphql-redis-subscriptions");
+const { MemoryCounterStore, RedisCounterStore } = require("./counterStore");
+
+//
+// The PubSub engines that subscriptions can use. Both implement
+// graphql-subscriptions' PubSubEngine, so resolvers publish and subscribe the
+// same way whichever one the server runs with:
+//
+// - "memory", the default: an in-process PubSub. Events only reach the
+//   subscribers connected to the process that published them.
+// - "redis": Redis's publish/subscribe. Events reach the subscribers
+//   connected to any process that uses the same Redis, so the server can run
+//   as several processes behind a load balancer.
+//
+const ENGINES = ["memory", "redis"];
+
+// Reads which engine to use from the environment: PUBSUB_ENGINE, and
+// REDIS_URL for the redis engine.
+function readPubSubConfig(env = process.env) {
+  const engine = env.PUBSUB_ENGINE || "memory";
+  if (!ENGINES.includes(engine)) {
+    throw new Error(
+      `Unknown PUBSUB_ENGINE "${engine}". Use one of: ${ENGINES.join(", ")}`
+    );
+  }
+  return { engine, redisUrl: env.REDIS_URL || "redis://localhost:6379" };
+}
+
+// How long to wait for Redis when the server starts, in milliseconds
+const CONNECT_TIMEOUT = 10000;
+
+// Resolves when a Redis connection is ready for commands. Rejects if the
+// connection fails or closes first, or isn't ready within CONNECT_TIMEOUT:
+// ioredis would otherwise keep trying for as long as Redis can't be reached.
+function ready(redis) {
+  if (redis.status === "ready") return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const listeners = {
+      ready: () => settle(resolve),
+      error: (error) => settle(() => reject(error)),
+      end: () => settle(() => reject(new Error("Connection closed"))),
+    };
+    const timer = setTimeout(() => {
+      settle(() =>
+        reject(new Error(`Not ready after ${CONNECT_TIMEOUT / 1000} seconds`))
+      );
+    }, CONNECT_TIMEOUT);
+    function settle(done) {
+      clearTimeout(timer);
+      for (const [event, listener] of Object.entries(listeners)) {
+        redis.off(event, listener);
+      }
+      done();
+    }
+    for (const [event, listener] of Object.entries(listeners)) {
+      redis.once(event, listener);
+    }
+  });
+}
+
+// Returns the PubSub for a config from readPubSubConfig(), the store for the
+// counters in the same backend (see counterStore.js), and a function that
+// closes their connections.
+async function createPubSub({ engine, redisUrl }) {
+  if (engine === "redis") {
+    const pubsub = new RedisPubSub({ connection: redisUrl });
+    // ioredis sends a SUBSCRIBE even while it's still connecting, and the
+    // connection then fails its ready check and reconnects without the
+    // subscription. So nothing may subscribe until both connections are
+    // ready.
+    try {
+      await Promise.all([
+        ready(pubsub.getPublisher()),
+        ready(pubsub.getSubscriber()),
+      ]);
+    } catch (error) {
+      pubsub.getPublisher().disconnect();
+      pubsub.getSubscriber().disconnect();
+      throw new Error(
+        `Couldn't connect to Redis at ${redisUrl}: ${error.message}`
+      );
+    }
+    return {
+      pubsub,
+      // The publisher is an ordinary connection. The subscriber can only
+      // subscribe.
+      counterStore: new RedisCounterStore(pubsub.getPublisher()),
+      async close() {
+        await pubsub.close();
+      },
+    };
+  }
+  return {
+    pubsub: new PubSub(),
+    counterStore: new MemoryCounterStore(),
+    async close() {},
+  };
+}
+
+module.exports = { readPubSubConfig, createPubSub };
@@ -0,0 +1,220 @@
+// @ts-check
+const net = require("net");
+
+//
+// A stand-in for Redis, which speaks just enough of the Redis protocol for
+// the redis PubSub engine and counter store: SUBSCRIBE, UNSUBSCRIBE and
+// PUBLISH, and the few commands for strings and hashes that the counter store
+// uses. The tests run several servers against it, and you can too, without
+// installing Redis:
+//
+//   node redisStandIn.js
+//
+// It keeps everything in memory, and runs each command on its own like Redis
+// does, so changes from different connections can't interleave. Use a real
+// Redis for anything but trying the example out.
+//
+
+// Encodes a reply: an integer, a bulk string, null, or an array of them.
+function encode(value) {
+  if (value === null) return "$-1\r\n";
+  if (typeof value === "number") return `:${value}\r\n`;
+  if (Array.isArray(value)) {
+    return `*${value.length}\r\n${value.map(encode).join("")}`;
+  }
+  return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+}
+
+// Parses the command at the start of `buffer`, an array of bulk strings.
+// Returns its arguments and how many bytes it took, or null if the buffer
+// doesn't hold a whole command yet.
+function parseCommand(buffer) {
+  let offset = 0;
+  function readLine() {
+    const end = buffer.indexOf("\r\n", offset);
+    if (end === -1) return null;
+    const line = buffer.toString("utf8", offset, end);
+    offset = end + 2;
+    return line;
+  }
+
+  const header = readLine();
+  if (header === null) return null;
+  const args = [];
+  for (let count = Number(header.slice(1)); count > 0; count--) {
+    const length = readLine();
+    if (length === null) return null;
+    const size = Number(length.slice(1));
+    if (buffer.length < offset + size + 2) return null;
+    args.push(buffer.toString("utf8", offset, offset + size));
+    offset += size + 2;
+  }
+  return { args, length: offset };
+}
+
+// Starts the stand-in on `port`, or on a free port if it's 0, and returns
+// its URL and a function that stops it.
+async function startRedisStandIn({ port = 6379 } = {}) {
+  // The sockets subscribed to each channel
+  const subscribers = new Map();
+  const sockets = new Set();
+  // Strings and hashes (as Maps), by key, and when each key expires
+  const values = new Map();
+  const expiries = new Map();
+
+  function get(key) {
+    if (expiries.has(key) && expiries.get(key) <= Date.now()) {
+      values.delete(key);
+      expiries.delete(key);
+    }
+    return values.has(key) ? values.get(key) : null;
+  }
+
+  function set(key, value) {
+    values.set(key, value);
+    expiries.delete(key);
+  }
+
+  function hash(key) {
+    let fields = get(key);
+    if (fields === null) {
+      fields = new Map();
+      set(key, fields);
+    }
+    return fields;
+  }
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    const channels = new Set();
+    let buffer = Buffer.alloc(0);
+
+    function unsubscribe(channel, kind) {
+      channels.delete(channel);
+      subscribers.get(channel)?.delete(socket);
+      socket.write(encode([kind, channel, channels.size]));
+    }
+
+    function run(command) {
+      const [name, ...args] = command;
+      switch (name.toUpperCase()) {
+        case "SUBSCRIBE":
+          for (const channel of args) {
+            channels.add(channel);
+            if (!subscribers.has(channel)) subscribers.set(channel, new Set());
+            subscribers.get(channel).add(socket);
+            socket.write(encode(["subscribe", channel, channels.size]));
+          }
+          return;
+        case "UNSUBSCRIBE":
+        case "PUNSUBSCRIBE":
+          for (const channel of args) {
+            unsubscribe(channel, name.toLowerCase());
+          }
+          return;
+        case "PUBLISH": {
+          const [channel, message] = args;
+          const receivers = subscribers.get(channel) ?? new Set();
+          for (const receiver of receivers) {
+            receiver.write(encode(["message", channel, message]));
+          }
+          socket.write(encode(receivers.size));
+          return;
+        }
+        case "GET":
+          socket.write(encode(get(args[0])));
+          return;
+        case "MGET":
+          socket.write(encode(args.map(get)));
+          return;
+        case "SET": {
+          // SET key value [PX milliseconds] [NX]
+          const [key, value, ...options] = args.map(String);
+          const upper = options.map((option) => option.toUpperCase());
+          if (upper.includes("NX") && get(key) !== null) {
+            socket.write(encode(null));
+            return;
+          }
+          set(key, value);
+          const px = upper.indexOf("PX");
+          if (px !== -1) {
+            expiries.set(key, Date.now() + Number(options[px + 1]));
+          }
+          socket.write("+OK\r\n");
+          return;
+        }
+        case "GETSET": {
+          const previous = get(args[0]);
+          set(args[0], args[1]);
+          socket.write(encode(previous));
+          return;
+        }
+        case "INCRBY": {
+          const value = Number(get(args[0]) ?? 0) + Number(args[1]);
+          set(args[0], String(value));
+          socket.write(encode(value));
+          return;
+        }
+        case "HGET":
+          socket.write(encode(get(args[0])?.get(args[1]) ?? null));
+          return;
+        case "HINCRBY": {
+          const fields = hash(args[0]);
+          const value = Number(fields.get(args[1]) ?? 0) + Number(args[2]);
+          fields.set(args[1], String(value));
+          socket.write(encode(value));
+          return;
+        }
+        case "INFO":
+          // ioredis waits for a server that has finished loading.
+          socket.write(encode("# Server\r\nloading:0\r\n"));
+          return;
+        case "PING":
+          socket.write("+PONG\r\n");
+          return;
+        case "CLIENT":
+        case "SELECT":
+          socket.write("+OK\r\n");
+          return;
+        case "QUIT":
+          socket.end("+OK\r\n");
+          return;
+        default:
+          socket.write(`-ERR unknown command '${name}'\r\n`);
+      }
+    }
+
+    socket.on("data", (data) => {
+      buffer = Buffer.concat([buffer, data]);
+      let command;
+      while ((command = parseCommand(buffer))) {
+        buffer = buffer.subarray(command.length);
+        run(command.args);
+      }
+    });
+    socket.on("error", () => socket.destroy());
+    socket.on("close", () => {
+      sockets.delete(socket);
+      for (const channel of channels) subscribers.get(channel)?.delete(socket);
+    });
+  });
+
+  await new Promise((resolve) => server.listen(port, () => resolve()));
+  const address = /** @type {import("net").AddressInfo} */ (server.address());
+
+  return {
+    url: `redis://localhost:${address.port}`,
+    stop() {
+      for (const socket of sockets) socket.destroy();
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+  };
+}
+
+if (require.main === module) {
+  startRedisStandIn().then(({ url }) => {
+    console.log(`Redis stand-in ready at ${url}`);
+  });
+}
+
+module.exports = { startRedisStandIn };
@@ -0,0 +1,341 @@
+// @ts-check
+const { createServer } = require("http");
+const express = require("express");
+const { execute, subscribe } = require("graphql");
+const { ApolloServer, gql, UserInputError } = require("apollo-server-express");
+const { ApolloServerPluginDrainHttpServer } = require("apollo-server-core");
+const { withFilter } = require("graphql-subscriptions");
+const { SubscriptionServer } = require("subscriptions-transport-ws");
+const { makeExecutableSchema } = require("@graphql-tools/schema");
+const { WebSocketServer } = require("ws");
+const { GRAPHQL_TRANSPORT_WS_PROTOCOL } = require("graphql-ws");
+const { useServer } = require("graphql-ws/lib/use/ws");
+const { createPubSub, readPubSubConfig } = require("./pubsub");
+
+//
+// Starts the server on `port`, or on a free port if it's 0, and returns the
+// ApolloServer and the URL of its endpoint. Stop the server with
+// `server.stop()`, which also closes every WebSocket connection.
+//
+// Subscriptions work over both WebSocket protocols, on the same path as
+// queries:
+//
+// - `graphql-transport-ws`, spoken by clients of the graphql-ws library
+// - `graphql-ws`, spoken by clients of the older subscriptions-transport-ws
+//   library. Despite its name, it's not the protocol of graphql-ws.
+//
+// Both kinds of subscriptions use the same schema and PubSub, so they get the
+// same events. The PubSub's engine comes from `pubsub`, a config from
+// readPubSubConfig(), and by default from the environment.
+//
+async function startServer({
+  port = 4000,
+  pubsub: pubsubConfig = readPubSubConfig(),
+} = {}) {
+  const {
+    pubsub,
+    counterStore,
+    close: closePubSub,
+  } = await createPubSub(pubsubConfig);
+  const app = express();
+  const httpServer = createServer(app);
+
+  // Schema definition
+  const typeDefs = gql`
+    "The number that the server increments, and how it increments it"
+    type CounterState {
+      value: Int!
+      "Whether the server increments the number on its own"
+      running: Boolean!
+      "How long the server waits between increments, in milliseconds"
+      intervalMs: Int!
+    }
+
+    type Query {
+      currentNumber: Int
+      counterState: CounterState!
+      "The current value of a named counter, which starts at 0"
+      counter(id: ID!): Int!
+    }
+
+    type Mutation {
+      "Adds \`by\` to a named counter, and returns its new value"
+      incrementCounter(id: ID!, by: Int = 1): Int!
+      "Stops incrementing the number on a timer"
+      pauseCounter: CounterState!
+      "Starts incrementing the number on a timer again"
+      resumeCounter: CounterState!
+      "Sets the number, without sending it to numberIncremented"
+      resetCounter(to: Int = 0): CounterState!
+      "Sets how long the server waits between increments"
+      setCounterInterval(ms: Int!): CounterState!
+      "Increments the number right away, whether or not the counter is paused"
+      incrementBy(n: Int = 1): CounterState!
+    }
+
+    type Subscription {
+      """
+      The number, each time it's incremented. With \`multipleOf\`, only numbers
+      divisible by it are sent, and with \`min\`, only numbers from \`min\` up.
+      """
+      numberIncremented(multipleOf: Int, min: Int): Int
+      "A named counter's value, each time it changes"
+      counter(id: ID!): Int!
+      "The counter's state, each time it changes"
+      counterStateChanged: CounterState!
+    }
+  `;
+
+  // The shortest interval setCounterInterval accepts, in milliseconds
+  const MIN_INTERVAL = 100;
+
+  //
+  // The number, which the server increments every `intervalMs` milliseconds
+  // while the counter is running, and the named counters are kept in the
+  // counter store. Every process of the server that uses the same PubSub
+  // engine shares them (see counterStore.js).
+  //
+  // Each process keeps a timer for the next increment, and restarts it from
+  // every counterStateChanged event, whichever process published it. So
+  // pausing, resuming or changing the interval in one process changes it in
+  // all of them.
+  //
+  let timer;
+  // The counter's state when the timer was last started
+  let scheduledState = await counterStore.state();
+  let stopped = false;
+
+  // Publishes the counter's current state, and returns it.
+  async function publishCounterState() {
+    const counterState = await counterStore.state();
+    await pubsub.publish("COUNTER_STATE_CHANGED", {
+      counterStateChanged: counterState,
+    });
+    return counterState;
+  }
+
+  async function incrementNumber(n = 1) {
+    const value = await counterStore.incrementBy(n);
+    await pubsub.publish("NUMBER_INCREMENTED", { numberIncremented: value });
+    return publishCounterState();
+  }
+
+  // Waits `intervalMs` from now for the next increment, if the counter is
+  // running.
+  function scheduleTick(counterState) {
+    clearTimeout(timer);
+    scheduledState = counterState;
+    if (counterState.running && !stopped) {
+      timer = setTimeout(tick, counterState.intervalMs);
+    }
+  }
+
+  // Increments the number, unless another process already has in this
+  // interval. Incrementing publishes the new state, which starts the timer
+  // again.
+  async function tick() {
+    try {
+      const counterState = await counterStore.state();
+      if (
+        counterState.running &&
+        (await counterStore.claimTick(counterState.intervalMs))
+      ) {
+        await incrementNumber();
+      } else {
+        scheduleTick(counterState);
+      }
+    } catch (error) {
+      // Once the server stops, the PubSub's connections are closed.
+      if (stopped) return;
+      console.error("Couldn't increment the number:", error);
+      scheduleTick(scheduledState);
+    }
+  }
+
+  const stateSubscription = await pubsub.subscribe(
+    "COUNTER_STATE_CHANGED",
+    ({ counterStateChanged }) => scheduleTick(counterStateChanged)
+  );
+
+  // Each named counter publishes on a topic of its own, so an increment only
+  // reaches the subscribers of that counter.
+  function counterTopic(id) {
+    return `COUNTER_CHANGED.${id}`;
+  }
+
+  // Resolver map
+  const resolvers = {
+    Query: {
+      async currentNumber() {
+        return (await counterStore.state()).value;
+      },
+      counterState() {
+        return counterStore.state();
+      },
+      counter(_, { id }) {
+        return counterStore.counter(id);
+      },
+    },
+    Mutation: {
+      async incrementCounter(_, { id, by }) {
+        const value = await counterStore.incrementCounter(id, by);
+        await pubsub.publish(counterTopic(id), { counter: value });
+        return value;
+      },
+      async pauseCounter() {
+        const changed = await counterStore.setRunning(false);
+        return changed ? publishCounterState() : counterStore.state();
+      },
+      async resumeCounter() {
+        const changed = await counterStore.setRunning(true);
+        return changed ? publishCounterState() : counterStore.state();
+      },
+      async resetCounter(_, { to }) {
+        await counterStore.setValue(to);
+        return publishCounterState();
+      },
+      async setCounterInterval(_, { ms }) {
+        if (ms < MIN_INTERVAL) {
+          throw new UserInputError(`ms must be at least ${MIN_INTERVAL}`, {
+            invalidArgs: ["ms"],
+          });
+        }
+        await counterStore.setIntervalMs(ms);
+        // The new interval counts from now.
+        return publishCounterState();
+      },
+      incrementBy(_, { n }) {
+        if (n <= 0) {
+          throw new UserInputError("n must be positive", {
+            invalidArgs: ["n"],
+          });
+        }
+        return incrementNumber(n);
+      },
+    },
+    Subscription: {
+      numberIncremented: {
+        //
+        // Every subscriber listens on the same topic. withFilter checks each
+        // event against the subscriber's own arguments before it's sent, so
+        // a subscriber only gets the numbers it asked for, and the rest are
+        // dropped without running the subscription's resolvers.
+        //
+        subscribe: withFilter(
+          (_, { multipleOf }) => {
+            if (multipleOf != null && multipleOf <= 0) {
+              throw new UserInputError("multipleOf must be positive", {
+                invalidArgs: ["multipleOf"],
+              });
+            }
+            return pubsub.asyncIterator(["NUMBER_INCREMENTED"]);
+          },
+          ({ numberIncremented }, { multipleOf, min }) =>
+            (multipleOf == null || numberIncremented % multipleOf === 0) &&
+            (min == null || numberIncremented >= min)
+        ),
+      },
+      counter: {
+        subscribe: (_, { id }) => pubsub.asyncIterator([counterTopic(id)]),
+      },
+      counterStateChanged: {
+        subscribe: () => pubsub.asyncIterator(["COUNTER_STATE_CHANGED"]),
+      },
+    },
+  };
+
+  const schema = makeExecutableSchema({ typeDefs, resolvers });
+
+  // One WebSocket server for each protocol. Neither listens by itself: the
+  // HTTP server hands each connection to one of them, below.
+  const graphqlWsServer = new WebSocketServer({
+    noServer: true,
+    // A client may offer several protocols. Pick graphql-ws's, which is
+    // the one the connection was handed over for.
+    handleProtocols: () => GRAPHQL_TRANSPORT_WS_PROTOCOL,
+  });
+  const legacyWsServer = new WebSocketServer({ noServer: true });
+
+  const graphqlWsCleanup = useServer({ schema }, graphqlWsServer);
+  const subscriptionServer = SubscriptionServer.create(
+    { schema, execute, subscribe },
+    legacyWsServer
+  );
+
+  const server = new ApolloServer({
+    schema,
+    plugins: [
+      // Proper shutdown for the HTTP server.
+      ApolloServerPluginDrainHttpServer({ httpServer }),
+
+      // Proper shutdown for the WebSocket servers.
+      {
+        async serverWillStart() {
+          return {
+            async drainServer() {
+              // The HTTP server's drain ends the WebSocket connections too,
+              // a moment after it starts, so every connection must be sent
+              // its close frame before anything is awaited here.
+              //
+              // graphql-ws closes its connections with 1001 Going Away.
+              // Closing a ws server leaves its connections open, so close
+              // the subscriptions-transport-ws ones the same way.
+              for (const socket of legacyWsServer.clients) {
+                socket.close(1001, "Going away");
+              }
+              const legacyClosed = new Promise((resolve) =>
+                legacyWsServer.once("close", resolve)
+              );
+              subscriptionServer.close();
+              await Promise.all([graphqlWsCleanup.dispose(), legacyClosed]);
+            },
+            async serverWillStop() {
+              stopped = true;
+              clearTimeout(timer);
+              pubsub.unsubscribe(stateSubscription);
+              await closePubSub();
+            },
+          };
+        },
+      },
+    ],
+  });
+  await server.start();
+  server.applyMiddleware({ app });
+
+  // Hands each WebSocket connection to the server for the protocol that the
+  // client asks for in its Sec-WebSocket-Protocol header. Anything but
+  // graphql-ws's protocol goes to subscriptions-transport-ws, which closes
+  // connections that don't speak its protocol either.
+  httpServer.on("upgrade", (request, socket, head) => {
+    const { pathname } = new URL(request.url || "", "http://localhost");
+    if (pathname !== server.graphqlPath) {
+      socket.destroy();
+      return;
+    }
+    const protocols = (request.headers["sec-websocket-protocol"] || "")
+      .split(",")
+      .map((protocol) => protocol.trim());
+    const wsServer = protocols.includes(GRAPHQL_TRANSPORT_WS_PROTOCOL)
+      ? graphqlWsServer
+      : legacyWsServer;
+    wsServer.handleUpgrade(request, socket, head, (webSocket) => {
+      wsServer.emit("connection", webSocket, request);
+    });
+  });
+
+  await new Promise((resolve) => httpServer.listen(port, () => resolve()));
+  const address = /** @type {import("net").AddressInfo} */ (
+    httpServer.address()
+  );
+
+  // Start incrementing
+  await tick();
+
+  return {
+    server,
+    url: `http://localhost:${address.port}${server.graphqlPath}`,
+  };
+}
+
+module.exports = { startServer };
@@ -0,0 +1,1855 @@
+import React, { useEffect, useRef, useState } from "react";
+import {
+  ApolloClient,
+  InMemoryCache,
+  ApolloProvider,
+  HttpLink,
+  from,
+  split,
+  makeVar,
+  useReactiveVar,
+  useQuery,
+  useMutation,
+  useSubscription,
+  useApolloClient,
+  gql as parseGql,
+} from "@apollo/client";
+import { GraphQLWsLink } from "@apollo/client/link/subscriptions";
+import { setContext } from "@apollo/client/link/context";
+import { onError } from "@apollo/client/link/error";
+import {
+  getMainDefinition,
+  relayStylePagination,
+} from "@apollo/client/utilities";
+import { createClient } from "graphql-ws";
+import {
+  insertIntoLists,
+  insertManyIntoLists,
+  placeInLists,
+  removeFromLists,
+} from "./cacheLists";
+import { createOfflineQueue } from "./offlineQueue";
+import { cacheVersion, persistCache } from "./cachePersistence";
+import { createRetryLink, createTimeoutLink } from "./links";
+import { Toasts, showToast } from "./toasts";
+
+// Every query, mutation, subscription and fragment in this file. The version
+// of the cache saved in localStorage is derived from them (see persistCache
+// below), so they're all defined with this gql.
+const documents = [];
+
+function gql(...args) {
+  const document = parseGql(...args);
+  documents.push(document);
+  return document;
+}
+
+const SERVER_URL_KEY = "todo-list-server-url";
+
+//
+// Where the to-do server is. In order of precedence, that's:
+//
+//   - the URL set in the settings panel, kept in localStorage
+//   - the REACT_APP_SERVER_URL environment variable at build time, such as
+//     `REACT_APP_SERVER_URL=https://example.com/ yarn build`
+//   - a local server on its default port
+//
+const serverURL =
+  localStorage.getItem(SERVER_URL_KEY) ||
+  process.env.REACT_APP_SERVER_URL ||
+  "http://localhost:4000";
+
+// How long to wait for the server before giving up on a request. The server's
+// mutations take 5 seconds by default (see its README), so this needs to be
+// a fair bit longer.
+const REQUEST_TIMEOUT = 15000;
+
+const TOKEN_KEY = "todo-list-token";
+
+// The signed-in user's token, or null. It's kept in localStorage so that a
+// reload doesn't sign the user out, and in a reactive variable so that the
+// App re-renders when the user signs in or out.
+const tokenVar = makeVar(localStorage.getItem(TOKEN_KEY));
+
+function setToken(token) {
+  if (token) {
+    localStorage.setItem(TOKEN_KEY, token);
+  } else {
+    localStorage.removeItem(TOKEN_KEY);
+  }
+  tokenVar(token);
+}
+
+// Signs the user out, and forgets everything we fetched as that user, in
+// memory and in localStorage. Changes
+// still waiting to be sent are dropped too, so they can't end up in the list
+// of whoever signs in next.
+function logout() {
+  setToken(null);
+  offlineQueue.clear();
+  cachePersistence.purge();
+  client.clearStore();
+}
+
+// The headers (or connectionParams) that identify the signed-in user
+function authHeaders() {
+  const token = tokenVar();
+  return token ? { authorization: `Bearer ${token}` } : {};
+}
+
+// Queries and mutations go over HTTP, with the user's token in the
+// Authorization header...
+const authLink = setContext((_, { headers }) => ({
+  headers: { ...headers, ...authHeaders() },
+}));
+const httpLink = new HttpLink({ uri: serverURL });
+
+// ...and subscriptions over a WebSocket to the same server. Browsers can't
+// set headers on a WebSocket, so the token goes in the connectionParams.
+// These are read whenever the socket (re)connects, so they always hold the
+// current token. The server refuses a socket with an invalid or expired token
+// by closing it with code 4403.
+const wsLink = new GraphQLWsLink(
+  createClient({
+    url: serverURL.replace(/^http/, "ws"),
+    connectionParams: authHeaders,
+    on: {
+      closed: (event) => {
+        if (event.code === 4403) logout();
+      },
+    },
+  })
+);
+
+//
+// When the server says our token is no good anymore, sign out, so the user
+// sees the login screen instead of an error.
+//
+// Otherwise, report the failures that no component shows by itself in the
+// toast area. That's any request that failed for good, after the retries
+// below, and errors in queries, whose components keep showing the data they
+// had. Mutations show their own errors next to their forms, and replays of
+// the offline queue next to their items.
+//
+const errorLink = onError(({ graphQLErrors, networkError, operation }) => {
+  if (
+    graphQLErrors?.some(
+      ({ extensions }) => extensions?.code === "UNAUTHENTICATED"
+    )
+  ) {
+    logout();
+    return;
+  }
+  if (operation.getContext().isReplay) return;
+  if (networkError) {
+    showToast(
+      `Can't reach the server at ${serverURL}: ${networkError.message}`
+    );
+    return;
+  }
+  const definition = getMainDefinition(operation.query);
+  if (definition.operation !== "mutation") {
+    for (const { message } of graphQLErrors ?? []) {
+      showToast(`${operation.operationName ?? "Query"} failed: ${message}`);
+    }
+  }
+});
+
+//
+// Adding and updating items keeps working while the server can't be reached:
+// those mutations are queued, and sent once it's back (see offlineQueue.js).
+// The queue only knows about operations, so these handlers tell it how to
+// bring the cache in line with what the server did with each of them.
+//
+const offlineQueue = createOfflineQueue({
+  storageKey: "todo-list-offline-queue",
+  handlers: {
+    AddTodo: {
+      // Swap the item with the temporary id for the one the server created.
+      replayed(cache, { data: { addTodo } }, entry) {
+        removeTodoFromCache(cache, { __typename: "Todo", id: entry.entityId });
+        addTodoToCache(cache, addTodo);
+      },
+      discarded(client, entry) {
+        removeTodoFromCache(client.cache, {
+          __typename: "Todo",
+          id: entry.entityId,
+        });
+      },
+    },
+    UpdateTodo: {
+      replayed(cache, { data: { updateTodo } }) {
+        moveTodoInCache(cache, updateTodo);
+      },
+      // Put back the server's copy of the item. An item that was never
+      // saved has no server copy; its own queued add is still there.
+      discarded(client, { entityId }) {
+        if (isTempId(entityId)) return;
+        client
+          .query({
+            query: GET_TODO,
+            variables: { id: entityId },
+            fetchPolicy: "network-only",
+          })
+          .then(({ data }) => {
+            if (data.todo) {
+              moveTodoInCache(client.cache, data.todo);
+            } else {
+              removeTodoFromCache(client.cache, {
+                __typename: "Todo",
+                id: entityId,
+              });
+            }
+          })
+          .catch((error) => console.error(error));
+      },
+    },
+  },
+});
+
+//
+// Send each operation to the link that can handle it. Subscriptions go over
+// the WebSocket, which reconnects by itself. Everything else goes through:
+//
+//   offline queue  queues adds and updates while the server can't be reached
+//   retry          sends queries again after network errors, with backoff
+//   auth           adds the token
+//   timeout        gives up on requests the server doesn't answer
+//   http           sends the request
+//
+const link = from([
+  errorLink,
+  split(
+    ({ query }) => {
+      const definition = getMainDefinition(query);
+      return (
+        definition.kind === "OperationDefinition" &&
+        definition.operation === "subscription"
+      );
+    },
+    wsLink,
+    from([
+      offlineQueue.link,
+      createRetryLink(),
+      authLink,
+      // Inside the retry link, so that every attempt gets the full time
+      createTimeoutLink(REQUEST_TIMEOUT),
+      httpLink,
+    ])
+  ),
+]);
+
+// The cache's configuration. The tests build their caches with this too.
+const CACHE_CONFIG = {
+  // The bulk mutations return a union, and the cache needs to know its
+  // members to match fragments such as `... on Todo` against it.
+  possibleTypes: {
+    TodoResult: ["Todo", "TodoError"],
+  },
+  typePolicies: {
+    Query: {
+      fields: {
+        //
+        // relayStylePagination merges each page fetched with fetchMore into
+        // one list of edges, instead of replacing the list with the newest
+        // page. Its argument lists the keyArgs: queries with a different
+        // filter or order get a separate list, while queries that only
+        // differ in `first` and `after` share one.
+        //
+        todosConnection: relayStylePagination(["filter", "orderBy"]),
+      },
+    },
+  },
+};
+
+export function createCache() {
+  return new InMemoryCache(CACHE_CONFIG);
+}
+
+const cache = createCache();
+
+const client = new ApolloClient({
+  link,
+  cache,
+  defaultOptions: {
+    //
+    // A restored cache can be out of date, so queries show what's in the
+    // cache and fetch from the server at the same time. Once that's done,
+    // they go back to the default of reading from the cache only.
+    //
+    watchQuery: {
+      fetchPolicy: "cache-and-network",
+      nextFetchPolicy: "cache-first",
+    },
+  },
+});
+
+//
+// New items get a temporary id until the server gives them a real one. Items
+// added while offline can keep theirs for a long time, and across reloads,
+// so each one needs to be unique for the queue to tell them apart.
+//
+let lastTempId = 0;
+
+function tempId() {
+  lastTempId += 1;
+  return `temp-${Date.now()}-${lastTempId}`;
+}
+
+function isTempId(id) {
+  return id.startsWith("temp-");
+}
+
+// The fields we read for every to-do item. Sharing one fragment between the
+// queries, the mutations and the cache updates below keeps them in sync.
+const TODO_FIELDS = gql`
+  fragment TodoFields on Todo {
+    id
+    type
+    description
+    completed
+    version
+    createdAt
+    updatedAt
+  }
+`;
+
+const ADD_TODO = gql`
+  mutation AddTodo($type: String!, $description: String!) {
+    addTodo(type: $type, description: $description) {
+      ...TodoFields
+    }
+  }
+  ${TODO_FIELDS}
+`;
+
+// The server returns todos and todosByType oldest first. Lists that we add
+// items to, or move items between, stay in that order.
+function byCreatedAt(a, b, readField) {
+  return readField("createdAt", a).localeCompare(readField("createdAt", b));
+}
+
+// Adds a new to-do item to `todos`, and to the cached `todosByType` list for
+// its type. The todoAdded subscription may have beaten us to it, in which case
+// the item is already there and this does nothing.
+function addTodoToCache(cache, todo) {
+  const options = { fragment: TODO_FIELDS, compare: byCreatedAt };
+  insertIntoLists(cache, "todos", todo, undefined, options);
+  insertIntoLists(
+    cache,
+    "todosByType",
+    todo,
+    ({ type }) => type === todo.type,
+    options
+  );
+}
+
+// Adds many new to-do items to the lists the same way, with a single
+// cache.modify for all of them.
+function addTodosToCache(cache, todos) {
+  insertManyIntoLists(
+    cache,
+    {
+      todos: () => true,
+      todosByType: ({ type }, todo) => type === todo.type,
+    },
+    todos,
+    { fragment: TODO_FIELDS, compare: byCreatedAt }
+  );
+}
+
+// Moves a to-do item whose type may have changed to the cached `todosByType`
+// list for its new type.
+function moveTodoInCache(cache, todo) {
+  placeInLists(cache, "todosByType", todo, ({ type }) => type === todo.type, {
+    fragment: TODO_FIELDS,
+    compare: byCreatedAt,
+  });
+}
+
+// Removes a to-do item from `todos`, from every cached `todosByType` list and
+// from every cached page of `todosConnection`, then drops the item itself from
+// the cache.
+function removeTodoFromCache(cache, todo) {
+  removeFromLists(cache, "todos", todo);
+  removeFromLists(cache, "todosByType", todo);
+  cache.modify({
+    fields: {
+      //
+      // relayStylePagination stores the connection as { edges, pageInfo },
+      // with a reference to the Todo in each edge's node.
+      //
+      todosConnection(existing, { readField }) {
+        const edges = existing.edges.filter(
+          (edge) => readField("id", edge.node) !== todo.id
+        );
+        if (edges.length === existing.edges.length) return existing;
+        return {
+          ...existing,
+          edges,
+          totalCount: existing.totalCount - 1,
+        };
+      },
+    },
+  });
+  // Now that nothing refers to the Todo entity, drop it from the cache.
+  cache.evict({ id: cache.identify(todo) });
+  cache.gc();
+}
+
+// The server rejects invalid input with a BAD_USER_INPUT error, whose
+// `invalidArgs` extension maps each invalid argument to a message. Returns
+// those messages, or an empty object for any other error.
+function invalidArgsOf(error) {
+  const inputError = error?.graphQLErrors.find(
+    ({ extensions }) => extensions?.code === "BAD_USER_INPUT"
+  );
+  return inputError?.extensions.invalidArgs ?? {};
+}
+
+// Shows the message for one form field, if there is one.
+function FieldError({ message }) {
+  if (!message) return null;
+  return <span style={{ color: "red" }}> {message}</span>;
+}
+
+// Shows a mutation's error, unless it's invalid input, which the form shows
+// next to the offending fields instead.
+function MutationError({ error }) {
+  if (!error || Object.keys(invalidArgsOf(error)).length > 0) return null;
+  return <p>Error: {error.message}</p>;
+}
+
+// Errors that sending the same mutation again can't fix
+function isFinalError(error) {
+  return error.graphQLErrors.some(({ extensions }) =>
+    ["BAD_USER_INPUT", "UNAUTHENTICATED"].includes(extensions?.code)
+  );
+}
+
+// Component for adding a to-do item
+export function AddTodo() {
+  let descriptionInput;
+  let typeInput;
+  const { cache } = useApolloClient();
+  const [addTodo, { error: mutationError }] = useMutation(ADD_TODO, {
+    // Invalid input is shown next to the form below, and other errors next
+    // to the item in the list. Handling errors here keeps addTodo() from
+    // returning a rejected promise.
+    onError: () => {},
+    //
+    // When adding a *new* object, we have to use the "update" callback to update the cache.
+    // The optimistic response adds the new item into the optimistic cache, but the front end
+    // has no way to unambiguously know what cached queries to update with the new item. None of the
+    // existing queries have the new entitiy's id associated with them and no assumtions are made as to which
+    // queries the new item should be associated with. So we have to add the new entity
+    // appropriately with the update callback.
+    //
+    // In the case, such as here, where we are using the optimisticResponse, this update method is called twice.
+    // The first time with the optimistic data (with the tmp id) and the second time with the real data,
+    // from the query's mutation results. So, it's important that an optimistic mutation returns the
+    // new entity as part of it's mutation results.
+    //
+    // If the mutation fails, it's only called once, with the optimistic data. Apollo then
+    // throws away everything the optimistic update did, so the new item disappears from
+    // every list.
+    //
+    // The new item belongs in the `todos` list, and in the todosByType list
+    // for its type.
+    //
+    // todosByType is a root field with a type argument based on a query to todosByType(type: string).
+    // The cache key for this field is actually a string of the form todosByType({\"type\":\"foo\"}).
+    // For different "type" values, we have a different cache key and associated lists of cached values.
+    // Since we call todosByType with type:foo and again with type:bar we will actaully have 2 cached lists;
+    // one with cache key todosByType({\"type\":\"foo\"}) and the other with cache key todosByType({\"type\":\"bar\"})
+    // So, how does this work. Well, this field function is actually called once for each permutation
+    // of cache key based on the value of "type". Since our code queries this field with args for "foo" and "bar"
+    // and both of those queries have previously cached their results, this function is called twice, once with
+    // options.storeFieldName === "todosByType({\"type\":\"foo\"})" and again with
+    // options.storeFieldName === "todosByType({\"type\":\"bar\"})"
+    //
+    // It is often important to know field arguments in the cache key for these types of fields. They
+    // often have an impact on what values to put in what cached field, as it does below. It's unfortunate,
+    // but the only indicator of "type" for both cached fields is the string options.storeFieldName.
+    // This includes a serialized version of our arguments, but that requires us to parse the string.
+    // There is a lot of discusstion around this as it leads to some kinda hacky code
+    // in the cache.update code as you will see.
+    //
+    // Here is more discussion: https://github.com/apollographql/apollo-client/issues/7129
+    //
+    // For something simple we can just compare options.storeFieldName with our newly added item.
+    // To get a bit fancier, we could write code to parse the options.storeFieldName field. That might llok like:
+    //
+    // const args = JSON.parse(options.storeFieldName.replace(`${options.fieldName}:`, ''))
+    //
+    // There is some stability risk here as Apollo could decide to change the format of options.storeFieldName
+    // in the future. For now, however, it's all we got.
+    //
+    // The helpers in cacheLists.js do that parsing for us, and call our
+    // predicate with the arguments of every cached list. So instead of
+    // building the key by hand and comparing strings, we just say which
+    // lists the item belongs in: the ones whose `type` argument is the
+    // item's type.
+    //
+    update(cache, { data: { addTodo } }) {
+      addTodoToCache(cache, addTodo);
+    },
+  });
+
+  return (
+    <div>
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          // Optimistically add the Todo to the locally cached
+          // list before the server responds. This will only
+          // add a Todo entity with a temporary id, such as
+          // "Todo:temp-1650000000000-1", to the cache.
+          // No existing queries will pick that up because no existing queries already contain
+          // the new cache key. We have the "update" function
+          // in the addTodo mutation to do the work of updating the
+          // existing queries with the new data.
+          //
+          // If the server can't be reached, the same response is used in
+          // place of the server's, and the mutation is queued until it can.
+          //
+          const optimisticResponse = {
+            addTodo: {
+              __typename: "Todo",
+              id: tempId(),
+              type: typeInput.value,
+              description: descriptionInput.value,
+              completed: false,
+              version: 1,
+              createdAt: new Date().toISOString(),
+              updatedAt: new Date().toISOString(),
+            },
+          };
+          const variables = {
+            type: typeInput.value,
+            description: descriptionInput.value,
+          };
+          //
+          // Several items can be on their way to the server at once, each
+          // with its own temporary id, and each is shown as "saving..." in
+          // the lists until the server has it. When the server rejects one,
+          // we put it back into the lists for good, with the reason and a
+          // button to try again, so the user doesn't have to type it again.
+          // Retrying and discarding work like they do for changes queued
+          // while offline.
+          //
+          // The form keeps what was typed until the server has answered, so
+          // that invalid input can be corrected next to its error. Otherwise
+          // the item is saved, or kept in the lists to retry, and the form
+          // is cleared for the next one.
+          //
+          const form = e.currentTarget;
+          addTodo({
+            variables,
+            optimisticResponse,
+            context: { offlineResponse: optimisticResponse },
+          }).then(({ errors }) => {
+            if (errors && isFinalError(errors)) return;
+            if (errors) {
+              addTodoToCache(cache, optimisticResponse.addTodo);
+              offlineQueue.addFailed({
+                mutation: ADD_TODO,
+                variables,
+                response: optimisticResponse,
+                error: errors,
+              });
+            }
+            form.reset();
+          });
+        }}
+      >
+        <input
+          placeholder="type"
+          ref={(node) => {
+            typeInput = node;
+          }}
+        />
+        <FieldError message={invalidArgsOf(mutationError).type} />
+        <input
+          placeholder="description"
+          ref={(node) => {
+            descriptionInput = node;
+          }}
+        />
+        <FieldError message={invalidArgsOf(mutationError).description} />
+        <button type="submit">Create item</button>
+      </form>
+    </div>
+  );
+}
+
+const ADD_TODOS = gql`
+  mutation AddTodos($input: [TodoInput!]!) {
+    addTodos(input: $input) {
+      ... on Todo {
+        ...TodoFields
+      }
+      ... on TodoError {
+        code
+        message
+        invalidArgs {
+          argument
+          message
+        }
+      }
+    }
+  }
+  ${TODO_FIELDS}
+`;
+
+// Turns pasted text into to-do items, one per line, written as
+// "type: description". The server reports lines without a type as invalid.
+function parseImport(text) {
+  return text
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line) => {
+      const colon = line.indexOf(":");
+      if (colon === -1) return { type: "", description: line };
+      return {
+        type: line.slice(0, colon),
+        description: line.slice(colon + 1),
+      };
+    });
+}
+
+// Component for adding many to-do items at once
+export function ImportTodos() {
+  const [text, setText] = useState("");
+  const [addTodos, { loading, error, data }] = useMutation(ADD_TODOS, {
+    // The error is shown below the form.
+    onError: () => {},
+    //
+    // addTodos returns one result per line, in order: either the new Todo
+    // or a TodoError. Only the new items go into the cache, and they all go
+    // in with a single cache.modify call, so each list is only rewritten (and
+    // each query only re-rendered) once, however many items were imported.
+    //
+    update(cache, { data: { addTodos } }) {
+      const added = addTodos.filter((result) => result.__typename === "Todo");
+      if (added.length > 0) addTodosToCache(cache, added);
+    },
+  });
+
+  const lines = parseImport(text);
+  return (
+    <div>
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          addTodos({ variables: { input: lines } });
+        }}
+      >
+        <textarea
+          rows={5}
+          cols={50}
+          placeholder={"foo: Buy milk\nbar: Walk the dog"}
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+        />
+        <br />
+        <button type="submit" disabled={loading || lines.length === 0}>
+          Import {lines.length} items
+        </button>
+      </form>
+      {loading && <p>Loading...</p>}
+      {error && <p>Error: {error.message}</p>}
+      {data && (
+        <ul>
+          {data.addTodos.map((result, i) => (
+            <li key={i}>
+              Line {i + 1}:{" "}
+              {result.__typename === "Todo"
+                ? `added as ${result.id}`
+                : [
+                    result.message,
+                    ...result.invalidArgs.map(({ message }) => message),
+                  ].join(" ")}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+const GET_TODO = gql`
+  query Todo($id: String!) {
+    todo(id: $id) {
+      ...TodoFields
+    }
+  }
+  ${TODO_FIELDS}
+`;
+
+const GET_TODOS = gql`
+  {
+    todos {
+      ...TodoFields
+    }
+  }
+  ${TODO_FIELDS}
+`;
+
+const GET_TODOS_BY_TYPE = gql`
+  query todosByType($type: String!) {
+    todosByType(type: $type) {
+      ...TodoFields
+    }
+  }
+  ${TODO_FIELDS}
+`;
+
+const UPDATE_TODO = gql`
+  mutation UpdateTodo(
+    $id: String!
+    $type: String!
+    $description: String!
+    $version: Int!
+  ) {
+    updateTodo(
+      id: $id
+      type: $type
+      description: $description
+      version: $version
+    ) {
+      ...TodoFields
+    }
+  }
+  ${TODO_FIELDS}
+`;
+
+const TOGGLE_TODO = gql`
+  mutation ToggleTodo($id: String!) {
+    toggleTodo(id: $id) {
+      ...TodoFields
+    }
+  }
+  ${TODO_FIELDS}
+`;
+
+const DELETE_TODO = gql`
+  mutation DeleteTodo($id: String!) {
+    deleteTodo(id: $id) {
+      ...TodoFields
+    }
+  }
+  ${TODO_FIELDS}
+`;
+
+// Shows the changes to an item that are queued until the server can be
+// reached, and those that the server rejected when they were sent, which can
+// be retried or discarded. A new item that's neither is on its way to the
+// server.
+function QueuedChanges({ id }) {
+  const entries = useReactiveVar(offlineQueue.entries).filter(
+    (entry) => entry.entityId === id
+  );
+  if (entries.length === 0) {
+    return isTempId(id) ? <em>(saving...)</em> : null;
+  }
+
+  const failed = entries.find((entry) => entry.status === "failed");
+  if (!failed) return <em>(waiting to be sent)</em>;
+  return (
+    <span>
+      <em>(failed: {failed.error})</em>{" "}
+      <button type="button" onClick={() => offlineQueue.retry(failed.key)}>
+        Retry
+      </button>{" "}
+      <button type="button" onClick={() => offlineQueue.discard(failed.key)}>
+        Discard
+      </button>
+    </span>
+  );
+}
+
+// Tells the user how many changes are waiting for the server.
+function OfflineStatus() {
+  const pending = useReactiveVar(offlineQueue.entries).filter(
+    (entry) => entry.status === "pending"
+  );
+  if (pending.length === 0) return null;
+  return (
+    <p>
+      <em>
+        The server can't be reached. {pending.length} change(s) will be sent
+        once it's back.
+      </em>
+    </p>
+  );
+}
+
+// Complete and delete controls for a single to-do item. These are shown in
+// every list, so they don't assume anything about which list they're in.
+// Items the server hasn't saved yet can't be completed or deleted, since the
+// server doesn't know their id.
+function TodoActions({ todo }) {
+  //
+  // Toggling works just like updating: the optimistic response carries the
+  // item's id, so Apollo updates the cached Todo entity in place and every
+  // list that references it re-renders. No update callback needed.
+  //
+  const [toggleTodo, { error: toggleError }] = useMutation(TOGGLE_TODO, {
+    variables: { id: todo.id },
+    optimisticResponse: {
+      toggleTodo: {
+        ...todo,
+        completed: !todo.completed,
+        version: todo.version + 1,
+      },
+    },
+    // The error is shown next to the buttons below.
+    onError: () => {},
+  });
+
+  //
+  // Deleting is the mirror image of adding. The cached lists hold references
+  // to the Todo entity, and Apollo can't know that those references should go
+  // away, so the update callback removes the item from `todos` and from every
+  // cached `todosByType` list. Unlike with adding, we don't need to look at
+  // the list's arguments here: an item that was never in a list is simply not
+  // found by the filter.
+  //
+  // Like with adding, update is called once with the optimistic response and
+  // once with the server's response. If the mutation fails, the optimistic
+  // removal is rolled back and the item reappears.
+  //
+  const [deleteTodo, { error: deleteError }] = useMutation(DELETE_TODO, {
+    variables: { id: todo.id },
+    optimisticResponse: {
+      deleteTodo: todo,
+    },
+    // The error is shown next to the buttons below.
+    onError: () => {},
+    update(cache, { data: { deleteTodo } }) {
+      removeTodoFromCache(cache, deleteTodo);
+    },
+  });
+
+  if (isTempId(todo.id)) return <QueuedChanges id={todo.id} />;
+
+  return (
+    <span>
+      <label>
+        <input
+          type="checkbox"
+          checked={todo.completed}
+          onChange={() => toggleTodo()}
+        />
+        Completed
+      </label>{" "}
+      <button type="button" onClick={() => deleteTodo()}>
+        Delete
+      </button>
+      <FieldError message={(toggleError ?? deleteError)?.message} />{" "}
+      <QueuedChanges id={todo.id} />
+    </span>
+  );
+}
+
+// Renders a to-do item's text, crossed out once it's completed.
+function TodoText({ todo: { id, type, description, completed } }) {
+  return (
+    <span style={completed ? { textDecoration: "line-through" } : undefined}>
+      {id}: {type}: {description}
+    </span>
+  );
+}
+
+// Combines two edits of the same item. For each field, we keep the value
+// from whichever side changed it, compared to the item both edits started
+// from. If both sides changed a field, our own value wins.
+function mergeEdits(base, mine, theirs) {
+  const merged = {};
+  for (const field of Object.keys(mine)) {
+    merged[field] = mine[field] === base[field] ? theirs[field] : mine[field];
+  }
+  return merged;
+}
+
+// Lets the user decide what to do when someone else changed an item while
+// they were editing it.
+function ResolveConflict({ mine, theirs, onKeepMine, onTakeTheirs, onMerge }) {
+  return (
+    <div>
+      <p>Someone else changed this item while you were editing it.</p>
+      <p>
+        Yours: {mine.type}: {mine.description}
+        <br />
+        Theirs: {theirs.type}: {theirs.description}
+      </p>
+      <button type="button" onClick={onKeepMine}>
+        Keep mine
+      </button>{" "}
+      <button type="button" onClick={onTakeTheirs}>
+        Take theirs
+      </button>{" "}
+      <button type="button" onClick={onMerge}>
+        Merge
+      </button>
+    </div>
+  );
+}
+
+// Form for changing a to-do item's type and description
+function UpdateTodo({ todo }) {
+  let descriptionInput;
+  let typeInput;
+  const { cache } = useApolloClient();
+
+  // The last values we sent, and the item they were based on. If the server
+  // reports a conflict, we need both to offer a merge.
+  const [lastEdit, setLastEdit] = useState(null);
+
+  // An item the server hasn't saved yet can only be updated while its add is
+  // waiting in the offline queue: the update then waits behind it, and gets
+  // the server's id when the add is sent. Otherwise the add is on its way,
+  // and an update would reach the server with an id it doesn't know.
+  const addQueued = useReactiveVar(offlineQueue.entries).some(
+    ({ entityId, status }) => entityId === todo.id && status === "pending"
+  );
+
+  //
+  // Notice the difference with add vs update. Here, in update, the mutation
+  // call to updateTodo uses the optimisticResponse attribute which updates the
+  // optimistic cache item for the given id. Since the queries (todos, todosByType)
+  // already contain (a reference to) that object id, Apollo can unambiguously
+  // infer which queries show the new description.
+  //
+  // What it can't infer is that an item whose type changed now belongs in a
+  // different todosByType list. The update callback moves it there, first
+  // with the optimistic response and then with the server's. If the server
+  // rejects the change, the move is rolled back with the rest of the
+  // optimistic response.
+  //
+  // Each item has its own form and its own mutation, so an error shows up
+  // next to the item it belongs to.
+  //
+  const [
+    updateTodo,
+    { loading: mutationLoading, error: mutationError, reset },
+  ] = useMutation(UPDATE_TODO, {
+    // The error is shown next to the form below.
+    onError: () => {},
+    update(cache, { data: { updateTodo } }) {
+      moveTodoInCache(cache, updateTodo);
+    },
+  });
+
+  // Sends new values for the item. `base` is the version of the item we
+  // think the server has; the server rejects the update with a CONFLICT
+  // error if it has a newer one.
+  function save(values, base) {
+    setLastEdit({ values, base });
+    // Optimistically add the Todo to the locally cached
+    // list before the server responds. Like with adding, the
+    // update is queued if the server can't be reached.
+    const optimisticResponse = {
+      updateTodo: {
+        ...base,
+        ...values,
+        version: base.version + 1,
+        updatedAt: new Date().toISOString(),
+      },
+    };
+    updateTodo({
+      variables: { id: base.id, ...values, version: base.version },
+      optimisticResponse,
+      context: { offlineResponse: optimisticResponse },
+    });
+  }
+
+  //
+  // When the server rejects our update as stale, Apollo rolls back the
+  // optimistic response, so the list shows our last known (outdated) copy
+  // of the item again. The error carries the server's copy, which we write
+  // to the cache before resolving the conflict. That way every list shows
+  // the real item, and a failed retry rolls back to the real item too.
+  //
+  if (isTempId(todo.id) && !addQueued) return null;
+
+  const conflict = mutationError?.graphQLErrors.find(
+    ({ extensions }) => extensions?.code === "CONFLICT"
+  );
+  if (conflict && lastEdit) {
+    const theirs = { __typename: "Todo", ...conflict.extensions.current };
+    const acceptTheirs = () =>
+      cache.writeFragment({ data: theirs, fragment: TODO_FIELDS });
+    return (
+      <ResolveConflict
+        mine={lastEdit.values}
+        theirs={theirs}
+        onKeepMine={() => {
+          acceptTheirs();
+          save(lastEdit.values, theirs);
+        }}
+        onTakeTheirs={() => {
+          acceptTheirs();
+          setLastEdit(null);
+          reset();
+        }}
+        onMerge={() => {
+          acceptTheirs();
+          save(mergeEdits(lastEdit.base, lastEdit.values, theirs), theirs);
+        }}
+      />
+    );
+  }
+
+  return (
+    <div>
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          save(
+            { type: typeInput.value, description: descriptionInput.value },
+            todo
+          );
+          typeInput.value = "";
+          descriptionInput.value = "";
+        }}
+      >
+        <input
+          placeholder="type"
+          ref={(node) => {
+            typeInput = node;
+          }}
+        />
+        <FieldError message={invalidArgsOf(mutationError).type} />
+        <input
+          placeholder="description"
+          ref={(node) => {
+            descriptionInput = node;
+          }}
+        />
+        <FieldError message={invalidArgsOf(mutationError).description} />
+        <button type="submit">Update item</button>
+      </form>
+      {mutationLoading && <p>Loading...</p>}
+      <MutationError error={mutationError} />
+    </div>
+  );
+}
+
+// Component for displaying the current Todo list
+export function Todos() {
+  const { loading, error, data } = useQuery(GET_TODOS);
+
+  // With a restored cache (see persistCache above), data may already be here
+  // while we're loading. The lists below do the same.
+  if (loading && !data) return <p>Loading...</p>;
+  if (error && !data) return <p>Error: {error.message}</p>;
+
+  const todos = data.todos.map((todo) => {
+    return (
+      <li key={todo.id}>
+        <p>
+          <TodoText todo={todo} /> <TodoActions todo={todo} />
+        </p>
+        <UpdateTodo todo={todo} />
+      </li>
+    );
+  });
+
+  return (
+    <div>
+      <ul>{todos}</ul>
+    </div>
+  );
+}
+
+export function TodosByType(props) {
+  const { loading, error, data } = useQuery(GET_TODOS_BY_TYPE, {
+    variables: { type: props.type ?? "test" },
+  });
+  if (loading && !data) return <p>Loading...</p>;
+  if (error && !data) return <p>Error: {error.message}</p>;
+
+  console.log(`data: ${JSON.stringify(data)}`);
+
+  const todos = data.todosByType.map((todo) => {
+    return (
+      <li key={todo.id}>
+        <p>
+          <TodoText todo={todo} /> <TodoActions todo={todo} />
+        </p>
+      </li>
+    );
+  });
+
+  return (
+    <div>
+      <ul>{todos}</ul>
+    </div>
+  );
+}
+
+const CATEGORY_FIELDS = gql`
+  fragment CategoryFields on Category {
+    id
+    name
+    todoCount
+    completedCount
+  }
+`;
+
+const GET_CATEGORIES = gql`
+  query Categories {
+    categories {
+      ...CategoryFields
+    }
+  }
+  ${CATEGORY_FIELDS}
+`;
+
+const CREATE_CATEGORY = gql`
+  mutation CreateCategory($name: String!) {
+    createCategory(name: $name) {
+      ...CategoryFields
+    }
+  }
+  ${CATEGORY_FIELDS}
+`;
+
+// Renaming and merging both return the changed category, the items that
+// moved into it and the categories that no longer exist.
+const CATEGORY_CHANGE_FIELDS = gql`
+  fragment CategoryChangeFields on CategoryChange {
+    category {
+      ...CategoryFields
+    }
+    todos {
+      ...TodoFields
+    }
+    removedCategoryIds
+  }
+  ${CATEGORY_FIELDS}
+  ${TODO_FIELDS}
+`;
+
+const RENAME_CATEGORY = gql`
+  mutation RenameCategory($id: String!, $name: String!) {
+    renameCategory(id: $id, name: $name) {
+      ...CategoryChangeFields
+    }
+  }
+  ${CATEGORY_CHANGE_FIELDS}
+`;
+
+const MERGE_CATEGORIES = gql`
+  mutation MergeCategories($ids: [String!]!, $into: String!) {
+    mergeCategories(ids: $ids, into: $into) {
+      ...CategoryChangeFields
+    }
+  }
+  ${CATEGORY_CHANGE_FIELDS}
+`;
+
+// Keeps the cached `categories` list sorted by name, like the server does.
+function sortCategories(refs, readField) {
+  return [...refs].sort((a, b) =>
+    readField("name", a).localeCompare(readField("name", b))
+  );
+}
+
+//
+// Updates the cache after a category was renamed or merged. Apollo writes the
+// new type and version of every moved item to its cached Todo entity by
+// itself, but as with a type change in updateTodo, it can't know that those
+// items now belong in a different todosByType list. So we go through every
+// cached todosByType list: the moved items are taken out of all of them, and
+// put into the list for the category's (new) name, if that one's cached.
+// Lists we've never fetched are left alone; they'll be fetched with the right
+// items when a tab first shows them.
+//
+function updateCategoryChange(cache, { todos, removedCategoryIds }) {
+  for (const todo of todos) {
+    moveTodoInCache(cache, todo);
+  }
+  cache.modify({
+    fields: {
+      categories(existingCategories = [], { readField }) {
+        return sortCategories(
+          existingCategories.filter(
+            (ref) => !removedCategoryIds.includes(readField("id", ref))
+          ),
+          readField
+        );
+      },
+      // Pages filtered by type are now out of date too. Dropping them makes
+      // BrowseTodos fetch its current page again.
+      todosConnection(_, { DELETE }) {
+        return DELETE;
+      },
+    },
+  });
+  for (const id of removedCategoryIds) {
+    cache.evict({ id: cache.identify({ __typename: "Category", id }) });
+  }
+  cache.gc();
+}
+
+// Form for adding an empty category
+function CreateCategory() {
+  const [name, setName] = useState("");
+  const [createCategory, { error }] = useMutation(CREATE_CATEGORY, {
+    // The error is shown next to the form below.
+    onError: () => {},
+    onCompleted: () => setName(""),
+    //
+    // Like a new to-do item, a new category isn't in any cached list yet, so
+    // we add it to `categories` ourselves.
+    //
+    update(cache, { data: { createCategory } }) {
+      cache.modify({
+        fields: {
+          categories(existingCategories = [], { readField, toReference }) {
+            if (
+              existingCategories.some(
+                (ref) => readField("id", ref) === createCategory.id
+              )
+            ) {
+              return existingCategories;
+            }
+            return sortCategories(
+              existingCategories.concat(toReference(createCategory)),
+              readField
+            );
+          },
+        },
+      });
+    },
+  });
+
+  return (
+    <form
+      onSubmit={(e) => {
+        e.preventDefault();
+        createCategory({ variables: { name } });
+      }}
+    >
+      <input
+        placeholder="new category"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+      />
+      <FieldError message={invalidArgsOf(error).name} />
+      <button type="submit">Add category</button>
+    </form>
+  );
+}
+
+// Forms for renaming a category, and for merging other categories into it
+function EditCategory({ category, categories }) {
+  const [name, setName] = useState("");
+  const [mergeIds, setMergeIds] = useState([]);
+  const update = (cache, { data }) =>
+    updateCategoryChange(cache, data.renameCategory ?? data.mergeCategories);
+  const [renameCategory, { loading: renaming, error: renameError }] =
+    useMutation(RENAME_CATEGORY, {
+      update,
+      onCompleted: () => setName(""),
+      // The error is shown next to the form below.
+      onError: () => {},
+    });
+  const [mergeCategories, { loading: merging, error: mergeError }] =
+    useMutation(MERGE_CATEGORIES, {
+      update,
+      onCompleted: () => setMergeIds([]),
+      onError: () => {},
+    });
+
+  const others = categories.filter(({ id }) => id !== category.id);
+  return (
+    <div>
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          renameCategory({ variables: { id: category.id, name } });
+        }}
+      >
+        <input
+          placeholder={category.name}
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+        />
+        <FieldError message={invalidArgsOf(renameError).name} />
+        <button type="submit" disabled={renaming}>
+          Rename
+        </button>
+        <MutationError error={renameError} />
+      </form>
+      {others.length > 0 && (
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            mergeCategories({
+              variables: { ids: mergeIds, into: category.id },
+            });
+          }}
+        >
+          {others.map(({ id, name }) => (
+            <label key={id}>
+              <input
+                type="checkbox"
+                checked={mergeIds.includes(id)}
+                onChange={(e) =>
+                  setMergeIds(
+                    e.target.checked
+                      ? mergeIds.concat(id)
+                      : mergeIds.filter((other) => other !== id)
+                  )
+                }
+              />
+              {name}{" "}
+            </label>
+          ))}
+          <button type="submit" disabled={merging || mergeIds.length === 0}>
+            Merge into {category.name}
+          </button>
+          <MutationError error={mergeError} />
+        </form>
+      )}
+    </div>
+  );
+}
+
+//
+// One tab per category. The tabs come from the server, so a category shows
+// up as soon as an item uses a new type. Tabs are keyed by the category's id
+// rather than its name, so the selected tab stays selected when it's renamed.
+//
+function CategoryTabs() {
+  const { loading, error, data } = useQuery(GET_CATEGORIES);
+  const [selectedId, setSelectedId] = useState(null);
+
+  if (loading && !data) return <p>Loading...</p>;
+  if (error && !data) return <p>Error: {error.message}</p>;
+
+  const { categories } = data;
+  const selected =
+    categories.find(({ id }) => id === selectedId) ?? categories[0];
+  return (
+    <div>
+      <div role="tablist">
+        {categories.map((category) => (
+          <button
+            key={category.id}
+            type="button"
+            role="tab"
+            aria-selected={category === selected}
+            style={category === selected ? { fontWeight: "bold" } : undefined}
+            onClick={() => setSelectedId(category.id)}
+          >
+            {category.name} ({category.completedCount}/{category.todoCount})
+          </button>
+        ))}
+      </div>
+      <CreateCategory />
+      {selected ? (
+        <div role="tabpanel">
+          <EditCategory category={selected} categories={categories} />
+          <TodosByType type={selected.name} />
+        </div>
+      ) : (
+        <p>No categories yet. Add an item to create one.</p>
+      )}
+    </div>
+  );
+}
+
+const GET_TODOS_CONNECTION = gql`
+  query TodosConnection(
+    $first: Int
+    $after: String
+    $filter: TodoFilter
+    $orderBy: TodoOrderBy
+  ) {
+    todosConnection(
+      first: $first
+      after: $after
+      filter: $filter
+      orderBy: $orderBy
+    ) {
+      edges {
+        cursor
+        node {
+          ...TodoFields
+        }
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+      totalCount
+    }
+  }
+  ${TODO_FIELDS}
+`;
+
+const PAGE_SIZE = 5;
+
+// Component for browsing the to-do list one page at a time, with a filter
+// and a choice of order.
+//
+// New items don't show up here until you change the filter or reload: unlike
+// `todos`, a paginated list only holds the pages fetched so far, so there's
+// no telling where in it a new item belongs. Deleted items are removed by
+// removeTodoFromCache.
+function BrowseTodos() {
+  const [type, setType] = useState("");
+  const [completed, setCompleted] = useState("");
+  const [text, setText] = useState("");
+  const [orderBy, setOrderBy] = useState("CREATED_AT_ASC");
+
+  // Leave out the conditions that aren't set, so they match every item.
+  const filter = {};
+  if (type) filter.type = type;
+  if (completed) filter.completed = completed === "true";
+  if (text) filter.text = text;
+
+  const { loading, error, data, fetchMore } = useQuery(GET_TODOS_CONNECTION, {
+    variables: { first: PAGE_SIZE, filter, orderBy },
+    // Re-render with loading: true while fetchMore is running.
+    notifyOnNetworkStatusChange: true,
+  });
+
+  let results;
+  if (loading && !data) {
+    results = <p>Loading...</p>;
+  } else if (error) {
+    results = <p>Error: {error.message}</p>;
+  } else {
+    const { edges, pageInfo, totalCount } = data.todosConnection;
+    results = (
+      <div>
+        <ul>
+          {edges.map(({ node: todo }) => (
+            <li key={todo.id}>
+              <p>
+                <TodoText todo={todo} /> <TodoActions todo={todo} />
+              </p>
+            </li>
+          ))}
+        </ul>
+        <p>
+          Showing {edges.length} of {totalCount}
+        </p>
+        {pageInfo.hasNextPage && (
+          <button
+            type="button"
+            disabled={loading}
+            onClick={() =>
+              //
+              // fetchMore reuses the query's variables, so we only pass the
+              // cursor. The todosConnection field policy appends the new page
+              // to the edges already in the cache.
+              //
+              fetchMore({ variables: { after: pageInfo.endCursor } })
+            }
+          >
+            {loading ? "Loading..." : "Load more"}
+          </button>
+        )}
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <input
+        placeholder="type"
+        value={type}
+        onChange={(e) => setType(e.target.value)}
+      />
+      <input
+        placeholder="search"
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+      />
+      <select value={completed} onChange={(e) => setCompleted(e.target.value)}>
+        <option value="">All</option>
+        <option value="false">Open</option>
+        <option value="true">Completed</option>
+      </select>
+      <select value={orderBy} onChange={(e) => setOrderBy(e.target.value)}>
+        <option value="CREATED_AT_ASC">Oldest first</option>
+        <option value="CREATED_AT_DESC">Newest first</option>
+        <option value="UPDATED_AT_DESC">Recently updated</option>
+        <option value="DESCRIPTION_ASC">Description (A-Z)</option>
+        <option value="DESCRIPTION_DESC">Description (Z-A)</option>
+      </select>
+      {results}
+    </div>
+  );
+}
+
+const TODO_ADDED = gql`
+  subscription OnTodoAdded {
+    todoAdded {
+      ...TodoFields
+    }
+  }
+  ${TODO_FIELDS}
+`;
+
+const TODO_UPDATED = gql`
+  subscription OnTodoUpdated {
+    todoUpdated {
+      ...TodoFields
+    }
+  }
+  ${TODO_FIELDS}
+`;
+
+const TODO_DELETED = gql`
+  subscription OnTodoDeleted {
+    todoDeleted {
+      ...TodoFields
+    }
+  }
+  ${TODO_FIELDS}
+`;
+
+// How long the categories wait for more changes before they're refetched, in
+// milliseconds
+const CATEGORY_REFETCH_DELAY = 200;
+
+// Keeps the cached lists in sync with changes made by other clients. This
+// renders nothing; it only listens.
+//
+// Every event also arrives for this client's own mutations, so each handler
+// has to cope with a change the cache already knows about.
+function TodoSubscriptions() {
+  //
+  // Every change may change a category's counts, or add a category. The
+  // server sends these events for our own changes too, so this one place
+  // keeps the tabs up to date, whoever made the change.
+  //
+  // Renaming or merging a category changes every item in it, with an event
+  // for each. So instead of refetching for every event, we wait until the
+  // events stop coming for a moment and refetch once.
+  //
+  const refetchTimer = useRef();
+  useEffect(() => () => clearTimeout(refetchTimer.current), []);
+  const refetchCategories = (client) => {
+    clearTimeout(refetchTimer.current);
+    refetchTimer.current = setTimeout(() => {
+      client.refetchQueries({ include: ["Categories"] });
+    }, CATEGORY_REFETCH_DELAY);
+  };
+
+  //
+  // A new item is added to the lists the same way the AddTodo update
+  // callback does it.
+  //
+  useSubscription(TODO_ADDED, {
+    onSubscriptionData({ client, subscriptionData: { data } }) {
+      refetchCategories(client);
+      addTodoToCache(client.cache, data.todoAdded);
+    },
+  });
+
+  //
+  // Apollo writes the updated fields to the cached Todo entity by itself, as
+  // with an updateTodo mutation. The one thing it can't know is that an item
+  // whose type changed has to move from one todosByType list to another.
+  //
+  useSubscription(TODO_UPDATED, {
+    onSubscriptionData({ client, subscriptionData: { data } }) {
+      refetchCategories(client);
+      moveTodoInCache(client.cache, data.todoUpdated);
+    },
+  });
+
+  useSubscription(TODO_DELETED, {
+    onSubscriptionData({ client, subscriptionData: { data } }) {
+      refetchCategories(client);
+      removeTodoFromCache(client.cache, data.todoDeleted);
+    },
+  });
+
+  return null;
+}
+
+const LOGIN = gql`
+  mutation Login($username: String!, $password: String!) {
+    login(username: $username, password: $password) {
+      token
+    }
+  }
+`;
+
+// Component for signing in. Every user has their own to-do list.
+function Login() {
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [login, { loading, error }] = useMutation(LOGIN, {
+    onCompleted: ({ login }) => setToken(login.token),
+    // The error is shown below the form.
+    onError: () => {},
+  });
+
+  return (
+    <form
+      onSubmit={(e) => {
+        e.preventDefault();
+        login({ variables: { username, password } });
+      }}
+    >
+      <input
+        placeholder="username"
+        value={username}
+        onChange={(e) => setUsername(e.target.value)}
+      />
+      <input
+        type="password"
+        placeholder="password"
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+      />
+      <button type="submit" disabled={loading}>
+        Log in
+      </button>
+      <MutationError error={error} />
+    </form>
+  );
+}
+
+const USER_FIELDS = gql`
+  fragment UserFields on User {
+    id
+    username
+    name
+  }
+`;
+
+const GET_SHARING = gql`
+  query Sharing {
+    me {
+      ...UserFields
+    }
+    sharedWith {
+      ...UserFields
+    }
+    sharedWithMe {
+      ...UserFields
+    }
+  }
+  ${USER_FIELDS}
+`;
+
+const SHARE_TODOS = gql`
+  mutation ShareTodos($username: String!) {
+    shareTodos(username: $username) {
+      ...UserFields
+    }
+  }
+  ${USER_FIELDS}
+`;
+
+const UNSHARE_TODOS = gql`
+  mutation UnshareTodos($username: String!) {
+    unshareTodos(username: $username) {
+      ...UserFields
+    }
+  }
+  ${USER_FIELDS}
+`;
+
+// Both sharing mutations return the new list of users we share with, so
+// their update callback can simply replace the cached `sharedWith` list.
+function updateSharedWith(cache, { data }) {
+  const users = data.shareTodos ?? data.unshareTodos;
+  cache.modify({
+    fields: {
+      sharedWith: (_, { toReference }) =>
+        users.map((user) => toReference(user)),
+    },
+  });
+}
+
+// Component showing who is signed in, and who they share their list with
+function Account() {
+  const [username, setUsername] = useState("");
+  const { loading, error, data } = useQuery(GET_SHARING);
+  const [shareTodos, { error: shareError }] = useMutation(SHARE_TODOS, {
+    update: updateSharedWith,
+    onCompleted: () => setUsername(""),
+    // The error is shown next to the form below.
+    onError: () => {},
+  });
+  const [unshareTodos] = useMutation(UNSHARE_TODOS, {
+    update: updateSharedWith,
+    onError: () => {},
+  });
+
+  if (loading && !data) return <p>Loading...</p>;
+  if (error && !data) return <p>Error: {error.message}</p>;
+
+  const { me, sharedWith, sharedWithMe } = data;
+  return (
+    <div>
+      <p>
+        Signed in as {me.name}.{" "}
+        <button type="button" onClick={logout}>
+          Log out
+        </button>
+      </p>
+      <p>
+        You can see the to-do items of:{" "}
+        {sharedWithMe.map(({ name }) => name).join(", ") || "nobody else"}
+      </p>
+      <p>
+        Shared with: {sharedWith.length === 0 && "nobody"}
+        {sharedWith.map((user) => (
+          <span key={user.id}>
+            {user.name}{" "}
+            <button
+              type="button"
+              onClick={() =>
+                unshareTodos({ variables: { username: user.username } })
+              }
+            >
+              Stop sharing
+            </button>{" "}
+          </span>
+        ))}
+      </p>
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          shareTodos({ variables: { username } });
+        }}
+      >
+        <input
+          placeholder="username"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+        />
+        <FieldError message={invalidArgsOf(shareError).username} />
+        <button type="submit">Share my list</button>
+      </form>
+    </div>
+  );
+}
+
+//
+// Switches to another server. Our token, our cache and the changes waiting to
+// be sent all belong to the old server, so we sign out, and reload the page
+// to connect to the new one. An empty URL goes back to the default.
+//
+function changeServerURL(url) {
+  if (url) {
+    localStorage.setItem(SERVER_URL_KEY, url);
+  } else {
+    localStorage.removeItem(SERVER_URL_KEY);
+  }
+  logout();
+  window.location.reload();
+}
+
+// Panel for changing which server the app talks to
+function ServerSettings() {
+  const [url, setURL] = useState(serverURL);
+  return (
+    <details>
+      <summary>Settings</summary>
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          changeServerURL(url.trim());
+        }}
+      >
+        <label>
+          Server URL{" "}
+          <input
+            type="url"
+            value={url}
+            onChange={(e) => setURL(e.target.value)}
+          />
+        </label>{" "}
+        <button type="submit">Save and reload</button>{" "}
+        <button type="button" onClick={() => changeServerURL(null)}>
+          Use default
+        </button>
+      </form>
+    </details>
+  );
+}
+
+//
+// The cache is saved to localStorage as it changes, and restored from there
+// right away, so after a reload the lists show what we fetched last time
+// instead of "Loading...". The saved copy's version is derived from every
+// document above and the cache's configuration, so a cache written by code
+// with a different query, fragment or type policy is dropped instead of
+// restored. That's why this comes after the last document.
+//
+const cachePersistence = persistCache(cache, {
+  storageKey: "todo-list-cache",
+  version: cacheVersion(documents, CACHE_CONFIG),
+});
+
+// Send whatever was queued while the server couldn't be reached, including
+// changes queued before the page was last reloaded. This comes after the
+// cache is restored, so that what's replayed isn't overwritten.
+offlineQueue.start(client);
+
+export function App() {
+  const token = useReactiveVar(tokenVar);
+
+  if (!token) {
+    return (
+      <ApolloProvider client={client}>
+        <div>
+          <h2>My to-do list</h2>
+          Log in to see your to-do list. The example server has three users:
+          alice, bob and carol. Each user's password is their username.
+          <Login />
+          <ServerSettings />
+          <Toasts />
+        </div>
+      </ApolloProvider>
+    );
+  }
+
+  return (
+    <ApolloProvider client={client}>
+      <div>
+        <h2>My to-do list</h2>
+        <Toasts />
+        <ServerSettings />
+        <Account />
+        <OfflineStatus />
+        Add items to the to-do list. Type is an arbitrary string, and each type
+        gets its own category tab below. Submitting with type set to "fail" will
+        make the back end throw an exception so you can see the optimistic
+        rollback in the UI: an update is undone, and a new item stays in the
+        list marked as failed. Start the server with FAULT_ERROR_RATE=0.5 to see
+        failures that go away when you retry. Items can be completed or deleted
+        from any list. The server has some artificial delay built in to showcase
+        the effects of optimistic caching. Changes made in other tabs show up
+        here as soon as the server saves them. Items added or updated while the
+        server can't be reached are saved once it's back.
+        <TodoSubscriptions />
+        <AddTodo />
+        <h3>Import to-dos</h3>
+        Paste one item per line, as "type: description".
+        <ImportTodos />
+        <h3>All to-dos</h3>
+        <Todos />
+        <h3>Categories</h3>
+        <CategoryTabs />
+        <h3>Browse to-dos</h3>
+        <BrowseTodos />
+      </div>
+    </ApolloProvider>
+  );
+}
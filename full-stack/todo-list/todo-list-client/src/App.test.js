@@ -0,0 +1,228 @@
+import React from "react";
+import "@testing-library/jest-dom";
+import {
+  act,
+  fireEvent,
+  render,
+  screen,
+  waitFor,
+  within,
+} from "@testing-library/react";
+import { ApolloClient, ApolloProvider, gql } from "@apollo/client";
+import { AddTodo, ImportTodos, Todos, TodosByType, createCache } from "./App";
+import { createTestServer } from "./testServer";
+
+const ADD_TODO = gql`
+  mutation AddTodo($type: String!, $description: String!) {
+    addTodo(type: $type, description: $description) {
+      id
+    }
+  }
+`;
+
+// Renders the forms for adding and importing items, the list of every item,
+// and the lists for the types "work" and "home", all talking to `server`.
+// `todos` are added on the server first. Returns the client.
+async function renderTodos(server, todos = []) {
+  const client = new ApolloClient({ link: server.link, cache: createCache() });
+  for (const variables of todos) {
+    await client.mutate({ mutation: ADD_TODO, variables });
+  }
+  render(
+    <ApolloProvider client={client}>
+      <section aria-label="Add">
+        <AddTodo />
+      </section>
+      <section aria-label="Import">
+        <ImportTodos />
+      </section>
+      <section aria-label="All">
+        <Todos />
+      </section>
+      <section aria-label="Work">
+        <TodosByType type="work" />
+      </section>
+      <section aria-label="Home">
+        <TodosByType type="home" />
+      </section>
+    </ApolloProvider>
+  );
+  await waitFor(() =>
+    expect(screen.queryByText("Loading...")).not.toBeInTheDocument()
+  );
+  return client;
+}
+
+function list(name) {
+  return within(screen.getByRole("region", { name }));
+}
+
+// Fills in a form's type and description, and submits it.
+function submit(form, { type, description }, button) {
+  fireEvent.change(form.getByPlaceholderText("type"), {
+    target: { value: type },
+  });
+  fireEvent.change(form.getByPlaceholderText("description"), {
+    target: { value: description },
+  });
+  fireEvent.click(form.getByText(button));
+}
+
+function addTodo(values) {
+  submit(list("Add"), values, "Create item");
+}
+
+// The item with this text in the list of every item
+function item(text) {
+  return within(list("All").getByText(text).closest("li"));
+}
+
+// Submits the update form of the item in the list of every item.
+function updateTodo(text, values) {
+  submit(item(text), values, "Update item");
+}
+
+// Lets the server answer everything it held back.
+async function resume(server) {
+  await act(() => server.resume());
+}
+
+beforeEach(() => {
+  // The lists log what they render.
+  jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.log.mockRestore();
+});
+
+it("adds an item to the lists it belongs in before the server answers", async () => {
+  const server = createTestServer();
+  await renderTodos(server);
+
+  server.pause();
+  addTodo({ type: "work", description: "Write tests" });
+
+  expect(
+    list("All").getByText(/^temp-.*: work: Write tests$/)
+  ).toBeInTheDocument();
+  expect(list("All").getByText("(saving...)")).toBeInTheDocument();
+  expect(list("Work").getByText(/: work: Write tests$/)).toBeInTheDocument();
+  expect(list("Home").queryByText(/Write tests/)).not.toBeInTheDocument();
+  // The server doesn't know the item's id yet, so it can't be updated.
+  expect(
+    item(/Write tests$/).queryByText("Update item")
+  ).not.toBeInTheDocument();
+
+  await resume(server);
+  expect(item(/Write tests$/).getByText("Update item")).toBeInTheDocument();
+
+  for (const name of ["All", "Work"]) {
+    const text = list(name).getByText(/: work: Write tests$/).textContent;
+    expect(text).not.toMatch(/^temp-/);
+    expect(list(name).queryByText("(saving...)")).not.toBeInTheDocument();
+  }
+  expect(list("Home").queryByText(/Write tests/)).not.toBeInTheDocument();
+  expect(list("Add").getByPlaceholderText("type")).toHaveValue("");
+  expect(list("Add").getByPlaceholderText("description")).toHaveValue("");
+});
+
+it("moves an item to the list of its new type", async () => {
+  const server = createTestServer();
+  await renderTodos(server, [{ type: "work", description: "Call Bob" }]);
+  expect(list("Work").getByText(/: work: Call Bob$/)).toBeInTheDocument();
+
+  server.pause();
+  updateTodo(/: work: Call Bob$/, { type: "home", description: "Call Bob" });
+
+  expect(list("All").getByText(/: home: Call Bob$/)).toBeInTheDocument();
+  expect(list("Home").getByText(/: home: Call Bob$/)).toBeInTheDocument();
+  expect(list("Work").queryByText(/Call Bob/)).not.toBeInTheDocument();
+
+  await resume(server);
+
+  expect(list("All").getByText(/: home: Call Bob$/)).toBeInTheDocument();
+  expect(list("Home").getByText(/: home: Call Bob$/)).toBeInTheDocument();
+  expect(list("Work").queryByText(/Call Bob/)).not.toBeInTheDocument();
+});
+
+it("rolls back an update that the server rejects", async () => {
+  const server = createTestServer();
+  await renderTodos(server, [{ type: "work", description: "Call Bob" }]);
+
+  server.pause();
+  // The server fails every change to an item of type "fail".
+  updateTodo(/: work: Call Bob$/, { type: "fail", description: "Call Ann" });
+
+  expect(list("All").getByText(/: fail: Call Ann$/)).toBeInTheDocument();
+  expect(list("Work").queryByText(/Call/)).not.toBeInTheDocument();
+
+  await resume(server);
+
+  expect(list("All").getByText(/: work: Call Bob$/)).toBeInTheDocument();
+  expect(list("All").queryByText(/Call Ann/)).not.toBeInTheDocument();
+  expect(list("Work").getByText(/: work: Call Bob$/)).toBeInTheDocument();
+  expect(list("All").getByText(/^Error: /)).toBeInTheDocument();
+});
+
+it("takes an add that the server rejects as invalid out of every list", async () => {
+  const server = createTestServer();
+  await renderTodos(server);
+
+  server.pause();
+  addTodo({ type: "work", description: "x".repeat(501) });
+  expect(list("Add").getByPlaceholderText("type")).toHaveValue("work");
+
+  expect(list("All").getByText(/: work: x+$/)).toBeInTheDocument();
+  expect(list("Work").getByText(/: work: x+$/)).toBeInTheDocument();
+
+  await resume(server);
+
+  expect(list("All").queryByText(/: work: /)).not.toBeInTheDocument();
+  expect(list("Work").queryByText(/: work: /)).not.toBeInTheDocument();
+  expect(
+    list("Add").getByText(
+      "The description can't be longer than 500 characters."
+    )
+  ).toBeInTheDocument();
+  expect(list("Add").getByPlaceholderText("type")).toHaveValue("work");
+  expect(list("Add").getByPlaceholderText("description")).toHaveValue(
+    "x".repeat(501)
+  );
+});
+
+it("keeps an add that the server fails in the list, to retry", async () => {
+  const server = createTestServer();
+  await renderTodos(server);
+
+  server.pause();
+  addTodo({ type: "fail", description: "Walk the dog" });
+  expect(list("All").getByText("(saving...)")).toBeInTheDocument();
+
+  await resume(server);
+
+  expect(list("All").getByText(/: fail: Walk the dog$/)).toBeInTheDocument();
+  expect(list("All").getByText(/^\(failed: /)).toBeInTheDocument();
+  expect(list("All").getByText("Retry")).toBeInTheDocument();
+});
+
+it("imports items into the lists they belong in with one cache change", async () => {
+  const server = createTestServer();
+  const client = await renderTodos(server);
+  const modify = jest.spyOn(client.cache, "modify");
+
+  fireEvent.change(list("Import").getByRole("textbox"), {
+    target: { value: "work: Write tests\nhome: Call Bob\nwork: Ship it" },
+  });
+  fireEvent.click(list("Import").getByText("Import 3 items"));
+  await waitFor(() =>
+    expect(list("Import").getByText(/^Line 3: added as /)).toBeInTheDocument()
+  );
+
+  expect(list("All").getAllByText(/: (work|home): /)).toHaveLength(3);
+  expect(list("Work").getAllByText(/: work: /)).toHaveLength(2);
+  expect(list("Home").getByText(/: home: Call Bob$/)).toBeInTheDocument();
+  // Apollo also modifies the cache itself, to clear the mutation's result.
+  const listChanges = modify.mock.calls.filter(([{ fields }]) => fields.todos);
+  expect(listChanges).toHaveLength(1);
+});
@@ -0,0 +1,207 @@
+//
+// Helpers for keeping cached lists up to date in `update` callbacks.
+//
+// Apollo caches a root field separately for every set of arguments it was
+// queried with. todosByType(type: "foo") and todosByType(type: "bar") are two
+// cached lists, stored under the keys `todosByType({"type":"foo"})` and
+// `todosByType({"type":"bar"})`. cache.modify calls a field's modifier once
+// for each of them, but only tells it the key (options.storeFieldName), not
+// the arguments. These helpers parse the arguments back out of the key, so an
+// update can decide which lists an item belongs in by looking at the
+// arguments, instead of building the key by hand and comparing strings.
+//
+// See https://github.com/apollographql/apollo-client/issues/7129 for more
+// discussion.
+//
+
+// Returns the arguments that a cached field was stored with, or {} for a
+// field without arguments. Apollo stores fields as `name({...})` by default,
+// and as `name:{...}` when the field has keyArgs in its type policy. For the
+// latter, only the key arguments are in there.
+export function fieldArgs(fieldName, storeFieldName) {
+  const rest = storeFieldName.slice(fieldName.length);
+  let json = "";
+  if (rest.startsWith("(") && rest.endsWith(")")) {
+    json = rest.slice(1, -1);
+  } else if (rest.startsWith(":")) {
+    json = rest.slice(1);
+  }
+  if (!json) return {};
+  try {
+    const args = JSON.parse(json);
+    return args !== null && typeof args === "object" ? args : {};
+  } catch (error) {
+    // A custom key, such as one set with @connection(key: "..."), has no
+    // arguments in it.
+    return {};
+  }
+}
+
+//
+// Calls `modifier(list, details)` for every cached instance of a field, and
+// stores what it returns. `details` holds the instance's parsed `args`, plus
+// the usual cache.modify options such as readField and toReference. Fields of
+// the root Query are modified by default; pass `id` to modify a field of
+// another object.
+//
+export function modifyLists(cache, fieldName, modifier, options) {
+  modifyFieldLists(cache, { [fieldName]: modifier }, options);
+}
+
+// Like modifyLists, for several fields at once: `modifiers` maps each field
+// name to its modifier. All of them run in a single cache.modify.
+export function modifyFieldLists(cache, modifiers, { id } = {}) {
+  const fields = {};
+  for (const [fieldName, modifier] of Object.entries(modifiers)) {
+    fields[fieldName] = (list = [], options) =>
+      modifier(list, {
+        ...options,
+        args: fieldArgs(fieldName, options.storeFieldName),
+      });
+  }
+  cache.modify({
+    // cache.modify does nothing at all when given an `id` of undefined, so
+    // only pass one when we have one.
+    ...(id && { id }),
+    fields,
+  });
+}
+
+// Returns every cached instance of a field as { storeFieldName, args, value }.
+export function cachedFields(cache, fieldName, options) {
+  const instances = [];
+  modifyLists(
+    cache,
+    fieldName,
+    (value, { storeFieldName, args }) => {
+      instances.push({ storeFieldName, args, value });
+      // Returning the value unchanged leaves the cache as it is.
+      return value;
+    },
+    options
+  );
+  return instances;
+}
+
+function includes(list, ref) {
+  return list.some((item) => item.__ref === ref.__ref);
+}
+
+// Adds references to a list, in order if there's a `compare` function.
+function insert(list, refs, compare, readField) {
+  const inserted = list.concat(refs);
+  if (!compare) return inserted;
+  return inserted.sort((a, b) => compare(a, b, readField));
+}
+
+//
+// The functions below take an entity, which is either a cache reference or
+// an object with a __typename and id, such as a mutation result. Apollo has
+// usually written that object to the cache already by the time `update` is
+// called. If it may not have (or might have left out fields the lists need),
+// pass the `fragment` to write it with first.
+//
+// `belongs(args, options)` decides which lists to touch, from each list's
+// parsed arguments. `compare(a, b, readField)`, if given, keeps the lists
+// sorted; otherwise new items go at the end.
+//
+function toRef(cache, entity, fragment) {
+  if (fragment && !entity.__ref) {
+    return cache.writeFragment({ data: entity, fragment });
+  }
+  return entity.__ref ? entity : { __ref: cache.identify(entity) };
+}
+
+// Adds the entity to every cached list it belongs in, and isn't in yet.
+export function insertIntoLists(
+  cache,
+  fieldName,
+  entity,
+  belongs = () => true,
+  { fragment, compare, id } = {}
+) {
+  const ref = toRef(cache, entity, fragment);
+  modifyLists(
+    cache,
+    fieldName,
+    (list, options) =>
+      belongs(options.args, options) && !includes(list, ref)
+        ? insert(list, ref, compare, options.readField)
+        : list,
+    { id }
+  );
+}
+
+// Removes the entity from every cached list that matches.
+export function removeFromLists(
+  cache,
+  fieldName,
+  entity,
+  belongs = () => true,
+  { id } = {}
+) {
+  const ref = toRef(cache, entity);
+  modifyLists(
+    cache,
+    fieldName,
+    (list, options) =>
+      belongs(options.args, options) && includes(list, ref)
+        ? list.filter((item) => item.__ref !== ref.__ref)
+        : list,
+    { id }
+  );
+}
+
+//
+// Adds many entities at once, each to every cached list it belongs in and
+// isn't in yet. `lists` maps each field name to its `belongs(args, entity)`.
+// Every list of every field is changed in a single cache.modify, so each
+// query re-renders once, however many entities there are.
+//
+export function insertManyIntoLists(
+  cache,
+  lists,
+  entities,
+  { fragment, compare, id } = {}
+) {
+  const refs = entities.map((entity) => toRef(cache, entity, fragment));
+  const modifiers = {};
+  for (const [fieldName, belongs] of Object.entries(lists)) {
+    modifiers[fieldName] = (list, options) => {
+      const added = refs.filter(
+        (ref, i) => belongs(options.args, entities[i]) && !includes(list, ref)
+      );
+      return added.length > 0
+        ? insert(list, added, compare, options.readField)
+        : list;
+    };
+  }
+  modifyFieldLists(cache, modifiers, { id });
+}
+
+//
+// Puts the entity in every cached list it belongs in, and takes it out of
+// every other one. This is what an update needs after a change that may move
+// an item from one list to another, such as a change of its type.
+//
+export function placeInLists(
+  cache,
+  fieldName,
+  entity,
+  belongs,
+  { fragment, compare, id } = {}
+) {
+  const ref = toRef(cache, entity, fragment);
+  modifyLists(
+    cache,
+    fieldName,
+    (list, options) => {
+      const included = includes(list, ref);
+      if (belongs(options.args, options)) {
+        return included ? list : insert(list, ref, compare, options.readField);
+      }
+      return included ? list.filter((item) => item.__ref !== ref.__ref) : list;
+    },
+    { id }
+  );
+}
@@ -0,0 +1,106 @@
+import { print } from "graphql";
+
+//
+// Keeps a copy of an InMemoryCache in localStorage, so that after a reload
+// the app can show what it fetched last time right away, while it fetches
+// the current data in the background.
+//
+// The copy is what cache.extract() returns: the normalized entities and root
+// fields, without any optimistic data. It's restored with cache.restore().
+// localStorage is synchronous, so restoring finishes before anything renders.
+//
+// Apollo doesn't tell us when the cache changes, so we wrap the methods that
+// change it, and save a new copy a moment after the last change.
+//
+// The copy is only valid for the queries and fragments that wrote it. Pass a
+// new `version` whenever they change, and copies from older versions are
+// dropped instead of restored. cacheVersion() derives one from them.
+//
+
+// The largest copy we keep, in characters. localStorage usually holds 5 MB
+// per origin, which the offline queue and the token share with the cache.
+const DEFAULT_MAX_SIZE = 1024 * 1024;
+
+// How long to wait after a change before saving, so a burst of writes (such
+// as a query result and its update callbacks) is saved once.
+const SAVE_DELAY = 1000;
+
+// Returns a version that changes whenever the shape of the cached data may
+// have: a hash of the printed `documents`, and of the cache's `config` (its
+// possibleTypes and type policies, as far as they're JSON).
+export function cacheVersion(documents, config) {
+  const source = [...documents.map(print), JSON.stringify(config)].join("\n");
+  let hash = 0;
+  for (let i = 0; i < source.length; i++) {
+    hash = (Math.imul(hash, 31) + source.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(36);
+}
+
+export function persistCache(
+  cache,
+  { storageKey, version, maxSize = DEFAULT_MAX_SIZE }
+) {
+  const versionKey = `${storageKey}-version`;
+  let timer = null;
+
+  // Drops the saved copy, and any save that's waiting to happen.
+  function purge() {
+    clearTimeout(timer);
+    timer = null;
+    localStorage.removeItem(storageKey);
+  }
+
+  function save() {
+    timer = null;
+    const data = JSON.stringify(cache.extract());
+    // A copy we can't keep in full is worse than none, since restoring it
+    // would show lists with items missing.
+    if (data.length > maxSize) {
+      localStorage.removeItem(storageKey);
+      return;
+    }
+    try {
+      localStorage.setItem(storageKey, data);
+    } catch (error) {
+      // Over the browser's quota
+      localStorage.removeItem(storageKey);
+    }
+  }
+
+  function scheduleSave() {
+    if (timer === null) timer = setTimeout(save, SAVE_DELAY);
+  }
+
+  if (localStorage.getItem(versionKey) !== String(version)) {
+    purge();
+    localStorage.setItem(versionKey, String(version));
+  } else {
+    try {
+      const data = localStorage.getItem(storageKey);
+      if (data) cache.restore(JSON.parse(data));
+    } catch (error) {
+      purge();
+    }
+  }
+
+  for (const method of ["write", "modify", "evict"]) {
+    const original = cache[method].bind(cache);
+    cache[method] = (...args) => {
+      const result = original(...args);
+      scheduleSave();
+      return result;
+    };
+  }
+
+  // Don't lose the last changes when the page is closed before the delay
+  // is over.
+  window.addEventListener("pagehide", () => {
+    if (timer !== null) {
+      clearTimeout(timer);
+      save();
+    }
+  });
+
+  return { purge };
+}
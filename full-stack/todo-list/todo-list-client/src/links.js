@@ -0,0 +1,79 @@
+import { ApolloLink, Observable } from "@apollo/client";
+import { RetryLink } from "@apollo/client/link/retry";
+import { getMainDefinition } from "@apollo/client/utilities";
+
+function isMutation({ query }) {
+  const definition = getMainDefinition(query);
+  return (
+    definition.kind === "OperationDefinition" &&
+    definition.operation === "mutation"
+  );
+}
+
+//
+// Fails an operation that hasn't finished after `timeout` milliseconds, or
+// after the `timeout` in the operation's context. Unsubscribing from the
+// HttpLink below aborts its request.
+//
+// The error is a network error, like the ones for requests that never reach
+// the server, so the retry link treats a server that doesn't answer like one
+// that can't be reached. Its name is "TimeoutError", which the offline queue
+// checks for: the server may have made a change that timed out, so the queue
+// doesn't send it again by itself.
+//
+export function createTimeoutLink(timeout) {
+  return new ApolloLink(
+    (operation, forward) =>
+      new Observable((observer) => {
+        const limit = operation.getContext().timeout ?? timeout;
+        let timer = null;
+        const subscription = forward(operation).subscribe({
+          next: (result) => observer.next(result),
+          error: (error) => {
+            clearTimeout(timer);
+            observer.error(error);
+          },
+          complete: () => {
+            clearTimeout(timer);
+            observer.complete();
+          },
+        });
+        timer = setTimeout(() => {
+          subscription.unsubscribe();
+          const error = new Error(
+            `The server didn't answer within ${limit / 1000} seconds`
+          );
+          error.name = "TimeoutError";
+          observer.error(error);
+        }, limit);
+        return () => {
+          clearTimeout(timer);
+          subscription.unsubscribe();
+        };
+      })
+  );
+}
+
+//
+// Sends a query again when its request failed without an answer from the
+// server, waiting longer before each attempt: about 300ms, then 600ms, 1.2s
+// and 2.4s. A 5xx response counts as no answer, since it usually comes from a
+// proxy in front of a server that's down.
+//
+// GraphQL errors are never retried. They come in a response, not as an
+// error of the request, so the RetryLink doesn't even see them. Neither are
+// mutations: the server may have made the change before the connection
+// dropped, and making it twice would add an item twice. Adding and updating
+// items goes through the offline queue instead, which replays them in order.
+//
+export function createRetryLink() {
+  return new RetryLink({
+    delay: { initial: 300, max: 5000, jitter: true },
+    attempts: {
+      max: 5,
+      retryIf: (error, operation) =>
+        !isMutation(operation) &&
+        (error.statusCode === undefined || error.statusCode >= 500),
+    },
+  });
+}
@@ -0,0 +1,277 @@
+import { ApolloLink, Observable, makeVar, gql } from "@apollo/client";
+import { getOperationName } from "@apollo/client/utilities";
+import { print } from "graphql";
+
+//
+// A queue for mutations made while the server can't be reached.
+//
+// A mutation opts in by passing its optimistic response in its context as
+// `offlineResponse` as well. If the request fails without ever reaching the
+// server, the link below queues the mutation, and answers it with that
+// response instead of an error. Apollo then writes the response to the cache
+// like a real one, so the change stays visible instead of being rolled back.
+// Once there's anything in the queue, later mutations that opt in are queued
+// behind it too, even when the server is reachable again, so that the server
+// sees every change in the order it was made.
+//
+// The queue is kept in localStorage, so it survives a reload, and replayed
+// in order whenever we're back online. When a queued add is replayed, the
+// server gives the item its real id. Later queued changes to the same item
+// still refer to the temporary id from the optimistic response, so we swap
+// in the real id before sending them.
+//
+// If the server rejects a replayed mutation, it's marked as failed and the
+// rest of the queue carries on, except for later changes to the same item:
+// those fail too, since they were built on top of the failed one. A failed
+// mutation can be retried or discarded. The app can also add a mutation that
+// the server rejected the first time round with addFailed(), to offer the
+// same choice for it.
+//
+
+// How long to wait before replaying again after the server couldn't be
+// reached. Browsers only tell us when the network comes back, not when the
+// server does.
+const RETRY_DELAY = 10000;
+
+// Did the request fail without reaching the server? Errors for responses,
+// even unsuccessful ones, have a statusCode. A request that timed out did
+// reach the server, which may have made the change after all. Sending it
+// again could make the change twice, such as adding an item twice, so it's
+// not queued: it fails like one the server rejected, and can be retried by
+// hand.
+function isNetworkError(error) {
+  return error.statusCode === undefined && error.name !== "TimeoutError";
+}
+
+function load(storageKey) {
+  try {
+    return JSON.parse(localStorage.getItem(storageKey)) ?? [];
+  } catch (error) {
+    return [];
+  }
+}
+
+// Replaces every occurrence of one id among the variables by another.
+function remapVariables(variables, from, to) {
+  return Object.fromEntries(
+    Object.entries(variables).map(([name, value]) => [
+      name,
+      value === from ? to : value,
+    ])
+  );
+}
+
+// The id of the entity a mutation result (or optimistic response) is about:
+// that of the object returned by its first field.
+function entityIdOf(data) {
+  return Object.values(data)[0]?.id;
+}
+
+//
+// Creates the queue. `handlers` maps operation names to callbacks for
+// keeping the cache in sync, since only the app knows where its items live:
+//
+//   replayed(cache, result, entry)  runs as the `update` of the replayed
+//                                   mutation, with the server's result.
+//   discarded(client, entry)        runs when a failed mutation is discarded,
+//                                   to undo its change in the cache.
+//
+// Call start(client) once the ApolloClient exists.
+//
+export function createOfflineQueue({ storageKey, handlers = {} }) {
+  // The queued mutations, oldest first, as
+  // { key, operationName, query, variables, entityId, status, error }
+  // where status is "pending" or "failed".
+  const entries = makeVar(load(storageKey));
+  let client = null;
+  let replaying = false;
+  let retryTimer = null;
+  let lastKey = 0;
+
+  function save(newEntries) {
+    if (newEntries.length > 0) {
+      localStorage.setItem(storageKey, JSON.stringify(newEntries));
+    } else {
+      localStorage.removeItem(storageKey);
+    }
+    entries(newEntries);
+  }
+
+  function update(key, changes) {
+    save(
+      entries().map((entry) =>
+        entry.key === key ? { ...entry, ...changes } : entry
+      )
+    );
+  }
+
+  function add(mutation, variables, response, changes) {
+    // Keys only need to be unique, and in order, in this browser.
+    lastKey = Math.max(lastKey + 1, Date.now());
+    save(
+      entries().concat({
+        key: lastKey,
+        operationName: getOperationName(mutation),
+        query: print(mutation),
+        variables,
+        entityId: entityIdOf(response),
+        status: "pending",
+        error: null,
+        ...changes,
+      })
+    );
+  }
+
+  function enqueue(operation, response) {
+    add(operation.query, operation.variables, response);
+    replay();
+    return { data: response };
+  }
+
+  const link = new ApolloLink((operation, forward) => {
+    const { offlineResponse, isReplay } = operation.getContext();
+    if (!offlineResponse || isReplay) return forward(operation);
+
+    if (entries().some(({ status }) => status === "pending")) {
+      return Observable.of(enqueue(operation, offlineResponse));
+    }
+
+    return new Observable((observer) => {
+      const subscription = forward(operation).subscribe({
+        next: (result) => observer.next(result),
+        error: (error) => {
+          if (!isNetworkError(error)) {
+            observer.error(error);
+            return;
+          }
+          observer.next(enqueue(operation, offlineResponse));
+          observer.complete();
+        },
+        complete: () => observer.complete(),
+      });
+      return () => subscription.unsubscribe();
+    });
+  });
+
+  // Sends one queued mutation. Returns false if the server couldn't be
+  // reached, so the replay should stop for now.
+  async function send(entry) {
+    try {
+      const { data } = await client.mutate({
+        mutation: gql(entry.query),
+        variables: entry.variables,
+        context: { isReplay: true },
+        update: (cache, result) =>
+          handlers[entry.operationName]?.replayed?.(cache, result, entry),
+      });
+      const realId = entityIdOf(data);
+      save(
+        entries()
+          .filter(({ key }) => key !== entry.key)
+          .map((other) =>
+            realId && realId !== entry.entityId
+              ? {
+                  ...other,
+                  entityId:
+                    other.entityId === entry.entityId ? realId : other.entityId,
+                  variables: remapVariables(
+                    other.variables,
+                    entry.entityId,
+                    realId
+                  ),
+                }
+              : other
+          )
+      );
+      return true;
+    } catch (error) {
+      if (error.networkError && isNetworkError(error.networkError)) {
+        return false;
+      }
+      update(entry.key, { status: "failed", error: error.message });
+      return true;
+    }
+  }
+
+  async function replay() {
+    if (replaying || !client) return;
+    replaying = true;
+    clearTimeout(retryTimer);
+    try {
+      for (;;) {
+        const queue = entries();
+        const index = queue.findIndex(({ status }) => status === "pending");
+        if (index === -1) break;
+        const entry = queue[index];
+        const blocked = queue
+          .slice(0, index)
+          .some(
+            ({ entityId, status }) =>
+              status === "failed" && entityId === entry.entityId
+          );
+        if (blocked) {
+          update(entry.key, {
+            status: "failed",
+            error: "An earlier change to this item failed.",
+          });
+        } else if (!(await send(entry))) {
+          retryTimer = setTimeout(replay, RETRY_DELAY);
+          break;
+        }
+      }
+    } finally {
+      replaying = false;
+    }
+  }
+
+  function start(apolloClient) {
+    client = apolloClient;
+    window.addEventListener("online", replay);
+    replay();
+  }
+
+  // Queues a failed mutation again, along with the later changes to the same
+  // item that failed because of it.
+  function retry(key) {
+    const entry = entries().find((other) => other.key === key);
+    save(
+      entries().map((other) =>
+        other.entityId === entry.entityId && other.key >= key
+          ? { ...other, status: "pending", error: null }
+          : other
+      )
+    );
+    replay();
+  }
+
+  // Drops a failed mutation, along with the later changes to the same item,
+  // which were built on top of it.
+  function discard(key) {
+    const entry = entries().find((other) => other.key === key);
+    save(
+      entries().filter(
+        (other) => other.entityId !== entry.entityId || other.key < key
+      )
+    );
+    const { discarded } = handlers[entry.operationName] ?? {};
+    if (discarded) discarded(client, entry);
+  }
+
+  // Adds a mutation that the server has already rejected, as a failed one
+  // that can be retried or discarded. `response` is the optimistic response
+  // it was sent with.
+  function addFailed({ mutation, variables, response, error }) {
+    add(mutation, variables, response, {
+      status: "failed",
+      error: error.message,
+    });
+  }
+
+  // Forgets every queued mutation, such as when the user signs out.
+  function clear() {
+    clearTimeout(retryTimer);
+    save([]);
+  }
+
+  return { link, entries, start, retry, discard, addFailed, clear };
+}
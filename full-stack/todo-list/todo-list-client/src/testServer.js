@@ -0,0 +1,85 @@
+import { ApolloLink, Observable } from "@apollo/client";
+import { execute } from "graphql";
+
+//
+// Runs the to-do server in-process, for tests: a link that executes each
+// operation against the server's own schema and resolvers, like the link in
+// apollo-client/v3/testing-react-components/src/schema.js does for its
+// example schema. Every call gets a server of its own, with empty stores.
+//
+// The server's artificial latency is turned off. Instead, a test decides
+// when the server answers: after pause(), operations wait until resume(), so
+// the test can look at the optimistic UI in between. Everything else works
+// like the real server, including failing mutations for items of type
+// "fail".
+//
+// Operations run as `username`, one of the users in the server's users.json.
+//
+export function createTestServer({ username = "alice" } = {}) {
+  let server;
+  jest.isolateModules(() => {
+    server = {
+      ...require("../../todo-list-server/schema"),
+      ...require("../../todo-list-server/auth"),
+      ...require("../../todo-list-server/faults"),
+    };
+  });
+  const user = server.findUserByName(username);
+  let paused = false;
+  let waiting = [];
+
+  const link = new ApolloLink(
+    ({ query, variables, operationName }) =>
+      new Observable((observer) => {
+        let cancelled = false;
+        const run = async () => {
+          try {
+            const result = await execute({
+              schema: server.schema,
+              document: query,
+              variableValues: variables,
+              operationName,
+              contextValue: {
+                user,
+                faults: server.readFaultConfig({ "x-fault-latency": "0" }),
+              },
+            });
+            if (cancelled) return;
+            // Like a response over HTTP, errors are plain JSON.
+            observer.next(JSON.parse(JSON.stringify(result)));
+            observer.complete();
+          } catch (error) {
+            if (!cancelled) observer.error(error);
+          }
+        };
+        if (paused) {
+          waiting.push(run);
+        } else {
+          run();
+        }
+        return () => {
+          cancelled = true;
+        };
+      })
+  );
+
+  return {
+    link,
+    // Holds back operations until resume().
+    pause() {
+      paused = true;
+    },
+    // Runs the operations that were held back, in the order they were sent,
+    // and waits for them to finish.
+    async resume() {
+      paused = false;
+      const runs = waiting;
+      waiting = [];
+      for (const run of runs) await run();
+    },
+    // How many operations are waiting for resume()
+    get waiting() {
+      return waiting.length;
+    },
+  };
+}
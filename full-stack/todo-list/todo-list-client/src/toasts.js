@@ -0,0 +1,55 @@
+import React from "react";
+import { makeVar, useReactiveVar } from "@apollo/client";
+
+//
+// A global notification area. Anything can show a message with showToast(),
+// without a component to put it in, such as the error link for failures that
+// no component handles itself.
+//
+
+// How long a message stays up, in milliseconds
+const TOAST_DURATION = 8000;
+
+const toastsVar = makeVar([]);
+let lastId = 0;
+
+export function dismissToast(id) {
+  toastsVar(toastsVar().filter((toast) => toast.id !== id));
+}
+
+// Shows a message, unless the same one is showing already: when the server
+// goes away, every query fails with the same error at once.
+export function showToast(message) {
+  if (toastsVar().some((toast) => toast.message === message)) return;
+  lastId += 1;
+  const id = lastId;
+  toastsVar(toastsVar().concat({ id, message }));
+  setTimeout(() => dismissToast(id), TOAST_DURATION);
+}
+
+export function Toasts() {
+  const toasts = useReactiveVar(toastsVar);
+  if (toasts.length === 0) return null;
+  return (
+    <div
+      role="status"
+      style={{ position: "fixed", right: "1em", bottom: "1em", zIndex: 1 }}
+    >
+      {toasts.map(({ id, message }) => (
+        <p
+          key={id}
+          style={{
+            background: "#fee",
+            border: "1px solid red",
+            padding: "0.5em",
+          }}
+        >
+          {message}{" "}
+          <button type="button" onClick={() => dismissToast(id)}>
+            Dismiss
+          </button>
+        </p>
+      ))}
+    </div>
+  );
+}
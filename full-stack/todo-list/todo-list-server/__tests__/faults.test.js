@@ -0,0 +1,69 @@
+const { graphql } = require("graphql");
+const { schema } = require("../schema");
+const { findUserByName } = require("../auth");
+const { readFaultConfig } = require("../faults");
+
+// Runs an operation in-process as Alice, with the default faults but no
+// latency.
+async function run(source, variableValues) {
+  const { data, errors } = await graphql({
+    schema,
+    source,
+    variableValues,
+    contextValue: {
+      user: findUserByName("alice"),
+      faults: readFaultConfig({ "x-fault-latency": "0" }),
+    },
+  });
+  if (errors) throw errors[0];
+  return data;
+}
+
+const RESULT_FIELDS = `
+  __typename
+  ... on Todo { id type version }
+  ... on TodoError { code message }
+`;
+
+describe("the fault trigger", () => {
+  it("fails each item of a bulk mutation with the trigger's type", async () => {
+    const { addTodos } = await run(
+      `mutation ($input: [TodoInput!]!) {
+        addTodos(input: $input) { ${RESULT_FIELDS} }
+      }`,
+      {
+        input: [
+          { type: "work", description: "Write the report" },
+          { type: "fail", description: "Doomed" },
+        ],
+      }
+    );
+    expect(addTodos[0]).toMatchObject({ __typename: "Todo", type: "work" });
+    expect(addTodos[1]).toEqual({
+      __typename: "TodoError",
+      code: "INJECTED_FAULT",
+      message: "Injected fault in Mutation.addTodos",
+    });
+
+    const { id, version } = addTodos[0];
+    const { updateTodos } = await run(
+      `mutation ($input: [TodoUpdateInput!]!) {
+        updateTodos(input: $input) { ${RESULT_FIELDS} }
+      }`,
+      { input: [{ id, version, type: "fail", description: "Doomed too" }] }
+    );
+    expect(updateTodos).toEqual([
+      {
+        __typename: "TodoError",
+        code: "INJECTED_FAULT",
+        message: "Injected fault in Mutation.updateTodos",
+      },
+    ]);
+  });
+
+  it("fails a single mutation with the trigger's type", async () => {
+    await expect(
+      run(`mutation { addTodo(type: "fail", description: "Doomed") { id } }`)
+    ).rejects.toThrow("Injected fault in Mutation.addTodo");
+  });
+});
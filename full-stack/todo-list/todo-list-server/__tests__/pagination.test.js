@@ -0,0 +1,56 @@
+const { paginate } = require("../pagination");
+
+function todo(id, createdAt, description = `Item ${id}`) {
+  return {
+    id,
+    type: "work",
+    description,
+    completed: false,
+    createdAt,
+    updatedAt: createdAt,
+  };
+}
+
+const todos = [
+  todo("b", "2022-01-02T00:00:00.000Z", "Apples"),
+  todo("c", "2022-01-03T00:00:00.000Z", "Carrots"),
+  todo("a", "2022-01-01T00:00:00.000Z", "Bread"),
+];
+
+function ids(connection) {
+  return connection.edges.map(({ node }) => node.id);
+}
+
+describe("paginate", () => {
+  it("sorts by the order it's given", () => {
+    expect(ids(paginate(todos, { orderBy: "DESCRIPTION_ASC" }))).toEqual([
+      "b",
+      "a",
+      "c",
+    ]);
+    expect(ids(paginate(todos, { orderBy: "CREATED_AT_DESC" }))).toEqual([
+      "c",
+      "b",
+      "a",
+    ]);
+  });
+
+  it("uses the schema's defaults for a null first and orderBy", () => {
+    const connection = paginate(todos, { first: null, orderBy: null });
+    expect(ids(connection)).toEqual(["a", "b", "c"]);
+    expect(connection.pageInfo.hasNextPage).toBe(false);
+  });
+
+  it("continues after a cursor", () => {
+    const first = paginate(todos, { first: 2, orderBy: "CREATED_AT_ASC" });
+    expect(ids(first)).toEqual(["a", "b"]);
+    expect(first.pageInfo.hasNextPage).toBe(true);
+    const next = paginate(todos, {
+      first: 2,
+      after: first.pageInfo.endCursor,
+      orderBy: "CREATED_AT_ASC",
+    });
+    expect(ids(next)).toEqual(["c"]);
+    expect(next.pageInfo.hasPreviousPage).toBe(true);
+  });
+});
@@ -0,0 +1,78 @@
+const crypto = require("crypto");
+const path = require("path");
+const jwt = require("jsonwebtoken");
+const {
+  AuthenticationError,
+  UserInputError,
+} = require("apollo-server-express");
+
+// Users are read from a local JSON file (users.json by default, or the file
+// named by AUTH_USERS_FILE). Each user has an id, a username, a display name
+// and a password hash in the form "<salt>:<scrypt hash>", both hex encoded.
+const users = require(path.resolve(
+  process.env.AUTH_USERS_FILE || path.join(__dirname, "users.json")
+));
+
+// Tokens are signed with this secret. Set AUTH_SECRET to your own value for
+// anything but a local demo: anyone who knows the secret can sign in as any
+// user.
+const secret = process.env.AUTH_SECRET || "todo-list-example-secret";
+const expiresIn = process.env.AUTH_TOKEN_TTL || "12h";
+
+function findUser(id) {
+  return users.find((user) => user.id === id);
+}
+
+function findUserByName(username) {
+  return users.find((user) => user.username === username);
+}
+
+function checkPassword(user, password) {
+  const [salt, hash] = user.passwordHash.split(":");
+  const expected = Buffer.from(hash, "hex");
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Returns a signed token for the user with this username and password.
+function login(username, password) {
+  const user = findUserByName(username);
+  if (!user || !checkPassword(user, password)) {
+    throw new UserInputError("Wrong username or password");
+  }
+  const token = jwt.sign({}, secret, { subject: user.id, expiresIn });
+  return { token, user };
+}
+
+// Returns the user for an "Authorization: Bearer <token>" header value, or
+// null if there's no token. Throws an UNAUTHENTICATED error if there is a
+// token, but it's invalid or expired.
+function authenticate(authorization) {
+  if (!authorization) return null;
+  const token = authorization.replace(/^Bearer /i, "");
+  try {
+    const { sub } = jwt.verify(token, secret);
+    const user = findUser(sub);
+    if (user) return user;
+  } catch (error) {
+    // Handled below
+  }
+  throw new AuthenticationError("Invalid or expired token");
+}
+
+// Returns the user from the context, or throws an UNAUTHENTICATED error if
+// there isn't one.
+function requireUser(context) {
+  if (!context.user) {
+    throw new AuthenticationError("You must be logged in");
+  }
+  return context.user;
+}
+
+module.exports = {
+  findUser,
+  findUserByName,
+  login,
+  authenticate,
+  requireUser,
+};
@@ -0,0 +1,58 @@
+const { generate } = require("shortid");
+
+// Keeps track of each user's categories. A to-do item belongs to the
+// category of its owner whose name is the item's `type`: categoriesOf() in
+// schema.js creates a category for every type the owner's items use, and
+// renaming a category means changing the type of every item in it.
+//
+// Categories are kept in a store like the to-do items themselves (see
+// stores.js), with one record per category:
+// { id, name, ownerId, createdAt }.
+class Categories {
+  constructor(store) {
+    this.store = store;
+  }
+
+  // This owner's categories, sorted by name
+  async ofOwner(ownerId) {
+    const records = await this.store.all();
+    return records
+      .filter((category) => category.ownerId === ownerId)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async get(id) {
+    return this.store.get(id);
+  }
+
+  async findByName(ownerId, name) {
+    const categories = await this.ofOwner(ownerId);
+    return categories.find((category) => category.name === name);
+  }
+
+  // Returns the owner's category with this name, creating it if needed.
+  async ensure(ownerId, name) {
+    const existing = await this.findByName(ownerId, name);
+    if (existing) return existing;
+    const category = {
+      id: generate(),
+      name,
+      ownerId,
+      createdAt: new Date().toISOString(),
+    };
+    await this.store.set(category);
+    return category;
+  }
+
+  async rename(category, name) {
+    const renamed = { ...category, name };
+    await this.store.set(renamed);
+    return renamed;
+  }
+
+  async delete(id) {
+    return this.store.delete(id);
+  }
+}
+
+module.exports = { Categories };
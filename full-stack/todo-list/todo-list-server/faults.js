@@ -0,0 +1,210 @@
+const { mapSchema, MapperKind } = require("@graphql-tools/utils");
+const { defaultFieldResolver } = require("graphql");
+const { ApolloError } = require("apollo-server-express");
+
+// Fault injection for the to-do server. Every setting can be given as an
+// environment variable, which sets the default for the whole server, or as a
+// request header, which overrides it for that request only. Over WebSocket,
+// where browsers can't set headers, the same names can also be sent as
+// connectionParams.
+//
+//   FAULT_LATENCY     x-fault-latency     how long to wait before resolving
+//   FAULT_ERROR_RATE  x-fault-error-rate  how likely an operation is to fail
+//   FAULT_KIND        x-fault-kind        "graphql", "network" or "partial"
+//   FAULT_FIELDS      x-fault-fields      which fields fail for "partial"
+//   FAULT_TRIGGER     x-fault-trigger     a `type` that makes mutations fail
+//
+// See the README for the format of each setting.
+const settings = {
+  latency: "FAULT_LATENCY",
+  errorRate: "FAULT_ERROR_RATE",
+  kind: "FAULT_KIND",
+  fields: "FAULT_FIELDS",
+  trigger: "FAULT_TRIGGER",
+};
+
+// The server's behavior when nothing is configured: every mutation but
+// login takes five seconds, so the client's optimistic UI has something to
+// show, and adding or updating an item with type "fail" throws an error.
+const defaults = {
+  latency: "Mutation.*=5000,Mutation.login=0",
+  errorRate: "0",
+  kind: "graphql",
+  fields: "Todo.description",
+  trigger: "fail",
+};
+
+const kinds = ["graphql", "network", "partial"];
+
+const rootTypes = ["Query", "Mutation", "Subscription"];
+
+async function sleep(time) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, time);
+  });
+}
+
+// Parses a list of rules such as "addTodo=2000,Todo.*=100". A bare number
+// such as "500" is short for "*=500".
+function parseRules(value) {
+  const rules = new Map();
+  for (const rule of value.split(",")) {
+    if (!rule.trim()) continue;
+    const [key, amount] = rule.includes("=") ? rule.split("=") : ["*", rule];
+    const number = Number(amount);
+    if (Number.isNaN(number)) {
+      throw new Error(`Invalid fault rule "${rule}"`);
+    }
+    rules.set(key.trim(), number);
+  }
+  return rules;
+}
+
+// Finds the rule for a field, from most to least specific:
+//
+//   Type.field   this field of this type
+//   field        this root field (a query, mutation or subscription)
+//   Type.*       every field of this type
+//   *            every root field
+function findRule(rules, typeName, fieldName) {
+  const isRoot = rootTypes.includes(typeName);
+  const keys = [
+    `${typeName}.${fieldName}`,
+    isRoot && fieldName,
+    `${typeName}.*`,
+    isRoot && "*",
+  ];
+  for (const key of keys) {
+    if (key && rules.has(key)) return rules.get(key);
+  }
+  return 0;
+}
+
+// Builds the fault configuration for one request from the environment and
+// the given headers (or connectionParams).
+function readFaultConfig(headers = {}) {
+  const value = (name) =>
+    headers[`x-${settings[name].toLowerCase().replace(/_/g, "-")}`] ??
+    process.env[settings[name]] ??
+    defaults[name];
+
+  const kind = value("kind");
+  if (!kinds.includes(kind)) {
+    throw new Error(
+      `Unknown fault kind "${kind}". Use one of: ${kinds.join(", ")}.`
+    );
+  }
+
+  return {
+    latency: parseRules(value("latency")),
+    errorRate: parseRules(value("errorRate")),
+    kind,
+    fields: value("fields")
+      .split(",")
+      .map((field) => field.trim())
+      .filter(Boolean),
+    trigger: value("trigger"),
+    // The root fields of this operation that failed with "partial" faults.
+    // Their nested `fields` throw when they're resolved.
+    partial: new Set(),
+  };
+}
+
+function shouldFail(config, typeName, fieldName, args) {
+  if (
+    typeName === "Mutation" &&
+    config.trigger &&
+    args.type === config.trigger
+  ) {
+    return true;
+  }
+  return Math.random() < findRule(config.errorRate, typeName, fieldName);
+}
+
+function injectedError(message) {
+  return new ApolloError(message, "INJECTED_FAULT");
+}
+
+// Throws for an item of a bulk mutation whose `type` is the trigger, so that
+// the item fails like it would in addTodo or updateTodo, and the rest of the
+// batch still runs. Operations whose context has no `faults` run untouched.
+function checkItemTrigger(context, coordinate, item) {
+  const config = context?.faults;
+  if (config?.trigger && item.type === config.trigger) {
+    throw injectedError(`Injected fault in ${coordinate}`);
+  }
+}
+
+// Drops the connection the current operation arrived on, so the client sees
+// a network error instead of a GraphQL response.
+function dropConnection(context) {
+  if (context.socket) {
+    context.socket.terminate();
+  } else {
+    context.req?.socket.destroy();
+  }
+}
+
+// Wraps every resolver in the schema, including the default ones for plain
+// object fields, with the fault configuration from the context. Operations
+// whose context has no `faults` run untouched.
+function faultInjectionTransformer(schema) {
+  return mapSchema(schema, {
+    [MapperKind.OBJECT_FIELD]: (fieldConfig, fieldName, typeName) => {
+      const { resolve = defaultFieldResolver } = fieldConfig;
+      const coordinate = `${typeName}.${fieldName}`;
+      const isRoot = rootTypes.includes(typeName);
+
+      // Applies everything but the latency.
+      function resolveWithFaults(source, args, context, info) {
+        const config = context.faults;
+
+        if (isRoot && shouldFail(config, typeName, fieldName, args)) {
+          switch (config.kind) {
+            case "network":
+              dropConnection(context);
+              throw injectedError(`Dropped the connection in ${coordinate}`);
+            case "partial":
+              // Let this field resolve, but fail the nested fields below.
+              config.partial.add(info.path.key);
+              break;
+            default:
+              throw injectedError(`Injected fault in ${coordinate}`);
+          }
+        }
+
+        if (config.partial.size > 0 && config.fields.includes(coordinate)) {
+          let path = info.path;
+          while (path.prev) path = path.prev;
+          if (config.partial.has(path.key)) {
+            throw injectedError(`Injected partial fault in ${coordinate}`);
+          }
+        }
+
+        return resolve(source, args, context, info);
+      }
+
+      fieldConfig.resolve = function (source, args, context, info) {
+        const config = context?.faults;
+        if (!config) return resolve(source, args, context, info);
+
+        // Only make the field asynchronous when it has to wait, so fields
+        // without any latency resolve as quickly as they did before.
+        const latency = findRule(config.latency, typeName, fieldName);
+        if (latency > 0) {
+          return sleep(latency).then(() =>
+            resolveWithFaults(source, args, context, info)
+          );
+        }
+        return resolveWithFaults(source, args, context, info);
+      };
+      return fieldConfig;
+    },
+  });
+}
+
+module.exports = {
+  faultInjectionTransformer,
+  readFaultConfig,
+  checkItemTrigger,
+};
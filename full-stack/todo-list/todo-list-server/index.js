@@ -1,83 +1,83 @@
-const { ApolloServer, gql } = require("apollo-server");
-const LRU = require("lru-cache");
-const { generate } = require("shortid");
+const { createServer } = require("http");
+const express = require("express");
+const { ApolloServer } = require("apollo-server-express");
+const { ApolloServerPluginDrainHttpServer } = require("apollo-server-core");
+const { WebSocketServer } = require("ws");
+const { useServer } = require("graphql-ws/lib/use/ws");
+const { readFaultConfig } = require("./faults");
+const { authenticate } = require("./auth");
+const { schema } = require("./schema");
 
-async function sleep(time, cb) {
-  return new Promise((resolve) => {
-    setTimeout(() => resolve(cb?.()), time);
-  });
-}
-
-// Schema definition
-const typeDefs = `
-  type Query {
-    todos: [Todo]
-		todo(id: String!): Todo
-    todosByType(type: String!): [Todo]
-  }
-
-	type Todo {
-		id: String!
-    type: String!
-		description: String!
-	}
+const PORT = 4000;
 
-	type Mutation {
-		addTodo(type: String!, description: String!): Todo
-		updateTodo(id: String!, type: String!, description: String!): Todo
-	}
-`;
+(async () => {
+  // Create an Express app and HTTP server; we will attach the WebSocket
+  // server and the ApolloServer to this HTTP server.
+  const app = express();
+  const httpServer = createServer(app);
 
-// LRU cache for storing to-do items
-const cache = LRU({ max: 25, maxAge: 1000 * 60 * 5 });
-
-// Resolver definitions
-const resolvers = {
-  Query: {
-    todos: () => {
-      const todos = [];
-      cache.forEach((entry) => todos.push(entry));
-      return todos;
-    },
-    todosByType: (_, { type }) => {
-      const todos = [];
-      cache.forEach((entry) => {
-        if (type === entry.type) todos.push(entry);
-      });
-      return todos;
-    },
-    todo: (_, { id }) => {
-      return cache.get(id);
-    },
-  },
-  Mutation: {
-    addTodo: async (_, { type, description }) => {
-      await sleep(5000);
-      if (type === "fail") {
-        throw new Error("failed on type === fail");
-      }
-      const id = generate();
-      const todo = { id, type, description };
-      cache.set(id, todo);
-      return todo;
-    },
-    updateTodo: async (_, { id, type, description }) => {
-      await sleep(5000);
-      if (type === "fail") {
-        throw new Error("failed on type === fail");
-      }
-      const todo = { id, type, description };
-      cache.set(id, todo);
-      return todo;
+  // Set up WebSocket server. Both servers share the root path, so the
+  // client can reach this server at the same URL as before.
+  const wsServer = new WebSocketServer({
+    server: httpServer,
+    path: "/",
+  });
+  const serverCleanup = useServer(
+    {
+      schema,
+      // Browsers can't set headers on a WebSocket, so clients send their
+      // token in connectionParams instead. Refusing the connection here
+      // closes the socket with code 4403 (Forbidden).
+      onConnect: ({ connectionParams }) => {
+        try {
+          authenticate(connectionParams?.authorization);
+          return true;
+        } catch (error) {
+          return false;
+        }
+      },
+      context: ({ connectionParams, extra }) => ({
+        user: authenticate(connectionParams?.authorization),
+        socket: extra.socket,
+        faults: readFaultConfig({
+          ...extra.request.headers,
+          ...connectionParams,
+        }),
+      }),
     },
-  },
-};
+    wsServer
+  );
 
-const server = new ApolloServer({
-  typeDefs,
-  resolvers,
-});
+  // Set up ApolloServer.
+  const server = new ApolloServer({
+    schema,
+    context: ({ req }) => ({
+      user: authenticate(req.headers.authorization),
+      req,
+      faults: readFaultConfig(req.headers),
+    }),
+    plugins: [
+      // Proper shutdown for the HTTP server.
+      ApolloServerPluginDrainHttpServer({ httpServer }),
 
-server.listen().then(({ url }) => {
-  console.log(`🚀 Server ready at ${url}`);
-});
+      // Proper shutdown for the WebSocket server.
+      {
+        async serverWillStart() {
+          return {
+            async drainServer() {
+              await serverCleanup.dispose();
+            },
+          };
+        },
+      },
+    ],
+  });
+  await server.start();
+  server.applyMiddleware({ app, path: "/" });
+
+  // Now that our HTTP server is fully set up, actually listen.
+  httpServer.listen(PORT, () => {
+    console.log(`🚀 Server ready at http://localhost:${PORT}/`);
+    console.log(`🚀 Subscription endpoint ready at ws://localhost:${PORT}/`);
+  });
+})();
@@ -0,0 +1,103 @@
+const { UserInputError } = require("apollo-server-express");
+
+// Relay-style cursor pagination for to-do items. See
+// https://relay.dev/graphql/connections.htm for the specification.
+
+// The field each TodoOrderBy value sorts on, and in which direction.
+const orderings = {
+  CREATED_AT_ASC: ["createdAt", 1],
+  CREATED_AT_DESC: ["createdAt", -1],
+  UPDATED_AT_ASC: ["updatedAt", 1],
+  UPDATED_AT_DESC: ["updatedAt", -1],
+  DESCRIPTION_ASC: ["description", 1],
+  DESCRIPTION_DESC: ["description", -1],
+};
+
+// Compares two items by their sort field, then by id so that items with the
+// same sort value still have a stable order.
+function compare([field, direction], a, b) {
+  return (
+    direction * a[field].localeCompare(b[field]) || a.id.localeCompare(b.id)
+  );
+}
+
+// A cursor holds the sort value and id of the item it points at, rather than
+// the item's position, so that paging keeps working after items before the
+// cursor are added or deleted. It's base64 encoded to discourage clients from
+// relying on its contents.
+function encodeCursor([field], todo) {
+  return Buffer.from(JSON.stringify([todo[field], todo.id])).toString("base64");
+}
+
+function decodeCursor([field], cursor) {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(cursor, "base64").toString());
+    if (typeof value === "string" && typeof id === "string") {
+      return { [field]: value, id };
+    }
+  } catch (error) {
+    // Handled below
+  }
+  throw new UserInputError(`Invalid cursor "${cursor}"`, {
+    argumentName: "after",
+  });
+}
+
+function matchesFilter(todo, { type, completed, text } = {}) {
+  if (type != null && todo.type !== type) return false;
+  if (completed != null && todo.completed !== completed) return false;
+  if (
+    text &&
+    !todo.description.toLowerCase().includes(text.toLowerCase()) &&
+    !todo.type.toLowerCase().includes(text.toLowerCase())
+  ) {
+    return false;
+  }
+  return true;
+}
+
+// The page size and order when `first` or `orderBy` is left out. The schema
+// gives them the same defaults, but a client can still pass null explicitly.
+const DEFAULT_PAGE_SIZE = 10;
+const DEFAULT_ORDER_BY = "CREATED_AT_ASC";
+
+// Returns one page of a TodoConnection from the given (unsorted) items.
+function paginate(todos, { first: requested, after, filter, orderBy }) {
+  const first = requested ?? DEFAULT_PAGE_SIZE;
+  if (first < 0) {
+    throw new UserInputError("`first` can't be negative", {
+      argumentName: "first",
+    });
+  }
+
+  const ordering = orderings[orderBy ?? DEFAULT_ORDER_BY];
+  const matching = todos
+    .filter((todo) => matchesFilter(todo, filter))
+    .sort((a, b) => compare(ordering, a, b));
+
+  let start = 0;
+  if (after) {
+    const cursor = decodeCursor(ordering, after);
+    start = matching.findIndex((todo) => compare(ordering, todo, cursor) > 0);
+    if (start === -1) start = matching.length;
+  }
+
+  const page = matching.slice(start, start + first);
+  const edges = page.map((todo) => ({
+    cursor: encodeCursor(ordering, todo),
+    node: todo,
+  }));
+
+  return {
+    edges,
+    pageInfo: {
+      hasNextPage: start + first < matching.length,
+      hasPreviousPage: start > 0,
+      startCursor: edges[0]?.cursor ?? null,
+      endCursor: edges[edges.length - 1]?.cursor ?? null,
+    },
+    totalCount: matching.length,
+  };
+}
+
+module.exports = { paginate };
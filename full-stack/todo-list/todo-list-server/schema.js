@@ -0,0 +1,574 @@
+const path = require("path");
+const { UserInputError } = require("apollo-server-express");
+const { makeExecutableSchema } = require("@graphql-tools/schema");
+const { PubSub, withFilter } = require("graphql-subscriptions");
+const { generate } = require("shortid");
+const { createStore } = require("./stores");
+const { paginate } = require("./pagination");
+const {
+  validateTodo,
+  validateCategoryName,
+  todoNotFound,
+  categoryNotFound,
+  todoConflict,
+  toTodoError,
+} = require("./validation");
+const { faultInjectionTransformer, checkItemTrigger } = require("./faults");
+const { findUser, findUserByName, login, requireUser } = require("./auth");
+const { Sharing } = require("./sharing");
+const { Categories } = require("./categories");
+
+//
+// The schema, its resolvers and the stores behind them. Requiring this module
+// doesn't start a server, so the same schema can also be run in-process, such
+// as by the client's tests. index.js serves it over HTTP and WebSocket.
+//
+
+const pubsub = new PubSub();
+
+// Schema definition
+const typeDefs = `
+  type Query {
+    # Every query except login requires a token in the Authorization header,
+    # and only returns the to-do items that the user can see: their own, and
+    # those of the users who shared their list with them.
+    todos: [Todo]
+    todo(id: String!): Todo
+    todosByType(type: String!): [Todo]
+    todosConnection(
+      first: Int = 10
+      after: String
+      filter: TodoFilter
+      orderBy: TodoOrderBy = CREATED_AT_ASC
+    ): TodoConnection!
+    me: User!
+    # The users who can see and edit my to-do items
+    sharedWith: [User!]!
+    # The users whose to-do items I can see and edit
+    sharedWithMe: [User!]!
+    # My categories, sorted by name. There's one for every type that my own
+    # items use, plus the ones I created that are still empty.
+    categories: [Category!]!
+    category(id: String!): Category
+  }
+
+  # The items of a category are the ones todosByType(type: name) returns, so
+  # they include the items of the same type shared with me.
+  type Category {
+    id: String!
+    name: String!
+    todos: [Todo!]!
+    todoCount: Int!
+    completedCount: Int!
+  }
+
+  type CategoryChange {
+    category: Category!
+    # My items that moved to the category, with their new type and version
+    todos: [Todo!]!
+    # The categories that were merged into this one, and no longer exist
+    removedCategoryIds: [String!]!
+  }
+
+  type User {
+    id: String!
+    username: String!
+    name: String!
+  }
+
+  type AuthPayload {
+    # Send this as "Authorization: Bearer <token>"
+    token: String!
+    user: User!
+  }
+
+  # Every condition that is set must match.
+  input TodoFilter {
+    type: String
+    completed: Boolean
+    # Case-insensitive search in the description and type
+    text: String
+  }
+
+  enum TodoOrderBy {
+    CREATED_AT_ASC
+    CREATED_AT_DESC
+    UPDATED_AT_ASC
+    UPDATED_AT_DESC
+    DESCRIPTION_ASC
+    DESCRIPTION_DESC
+  }
+
+  type TodoConnection {
+    edges: [TodoEdge!]!
+    pageInfo: PageInfo!
+    # The number of items that match the filter, across all pages
+    totalCount: Int!
+  }
+
+  type TodoEdge {
+    cursor: String!
+    node: Todo!
+  }
+
+  type PageInfo {
+    hasNextPage: Boolean!
+    hasPreviousPage: Boolean!
+    startCursor: String
+    endCursor: String
+  }
+
+  type Todo {
+    id: String!
+    type: String!
+    description: String!
+    completed: Boolean!
+    owner: User!
+    # Starts at 1 and goes up by one with every change
+    version: Int!
+    # ISO 8601 timestamps
+    createdAt: String!
+    updatedAt: String!
+  }
+
+  type Mutation {
+    login(username: String!, password: String!): AuthPayload!
+    # Both return the users I'm now sharing my to-do items with
+    shareTodos(username: String!): [User!]!
+    unshareTodos(username: String!): [User!]!
+    addTodo(type: String!, description: String!): Todo
+    # Fails with a CONFLICT error unless version is the item's current version
+    updateTodo(
+      id: String!
+      type: String!
+      description: String!
+      version: Int!
+    ): Todo
+    toggleTodo(id: String!): Todo
+    deleteTodo(id: String!): Todo
+    # Bulk versions of addTodo and updateTodo. Each item succeeds or fails on
+    # its own; the results are in the same order as the input.
+    addTodos(input: [TodoInput!]!): [TodoResult!]!
+    updateTodos(input: [TodoUpdateInput!]!): [TodoResult!]!
+    createCategory(name: String!): Category!
+    # Changes the type of my items in the category to the new name. Fails
+    # if I already have a category with that name; merge them instead.
+    renameCategory(id: String!, name: String!): CategoryChange!
+    # Moves my items in the categories with the given ids to the category
+    # "into", and deletes the emptied categories.
+    mergeCategories(ids: [String!]!, into: String!): CategoryChange!
+  }
+
+  input TodoInput {
+    type: String!
+    description: String!
+  }
+
+  input TodoUpdateInput {
+    id: String!
+    type: String!
+    description: String!
+    version: Int!
+  }
+
+  union TodoResult = Todo | TodoError
+
+  # Why one item of a bulk mutation failed. The code and details are the
+  # same as in the extensions of the error that addTodo or updateTodo
+  # would have thrown for that item.
+  type TodoError {
+    # BAD_USER_INPUT, NOT_FOUND, CONFLICT, INJECTED_FAULT or
+    # INTERNAL_SERVER_ERROR
+    code: String!
+    message: String!
+    # For BAD_USER_INPUT: a message for each invalid argument
+    invalidArgs: [InvalidArg!]!
+    # For CONFLICT: the item as it is on the server
+    current: Todo
+  }
+
+  type InvalidArg {
+    argument: String!
+    message: String!
+  }
+
+  type Subscription {
+    todoAdded: Todo
+    # Also fires when an item is completed or reopened
+    todoUpdated: Todo
+    todoDeleted: Todo
+  }
+`;
+
+// Storage for to-do items. Set TODO_STORE to "memory", "file" or
+// "ephemeral" to choose a backend (see stores.js).
+const store = createStore();
+
+// Returns a store for settings, such as who shares with whom, in the file
+// `name` for the file store. Settings are kept in the same kind of store as
+// the to-do items, except for the ephemeral one, which would quietly forget
+// them after a few minutes. With that one, they're kept in memory.
+function createSettingsStore(name) {
+  const type = process.env.TODO_STORE === "ephemeral" ? "memory" : undefined;
+  return createStore({ type, file: path.join(__dirname, "data", name) });
+}
+
+// Who shares their to-do list with whom
+const sharing = new Sharing(createSettingsStore("shares.json"));
+
+// Each user's categories
+const categories = new Categories(createSettingsStore("categories.json"));
+
+// Returns the to-do items this user can see, oldest first. Stores don't
+// promise any particular order (the ephemeral store returns its most
+// recently used items first), so we sort on the creation time here.
+async function visibleTodos(user) {
+  const owners = await sharing.visibleOwners(user.id);
+  const todos = await store.all();
+  return todos
+    .filter((todo) => owners.has(todo.ownerId))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// Returns the item with this id, if this user can see it. Items that exist
+// but belong to someone else are reported as not found, so users can't
+// probe for other users' ids.
+async function getTodo(id, user) {
+  const todo = await store.get(id);
+  if (!todo || !(await sharing.canSee(user, todo))) {
+    throw todoNotFound(id);
+  }
+  return todo;
+}
+
+async function todosOfType(user, type) {
+  const todos = await visibleTodos(user);
+  return todos.filter((todo) => todo.type === type);
+}
+
+// Returns this user's categories, after creating the missing ones for the
+// types their items use.
+async function categoriesOf(user) {
+  const todos = await store.all();
+  const types = new Set(
+    todos.filter((todo) => todo.ownerId === user.id).map((todo) => todo.type)
+  );
+  for (const type of types) {
+    await categories.ensure(user.id, type);
+  }
+  return categories.ofOwner(user.id);
+}
+
+// Returns the category with this id, if it's one of this user's. Like with
+// items, other users' categories are reported as not found.
+async function getCategory(id, user) {
+  const category = await categories.get(id);
+  if (!category || category.ownerId !== user.id) {
+    throw categoryNotFound(id);
+  }
+  return category;
+}
+
+// Fails if the user already has a different category with this name,
+// including one their items use that has no record yet.
+async function checkNameIsFree(user, name, id) {
+  const existing = (await categoriesOf(user)).find(
+    (category) => category.name === name
+  );
+  if (existing && existing.id !== id) {
+    throw new UserInputError("Category already exists", {
+      invalidArgs: {
+        name: `You already have a category named "${name}".`,
+      },
+    });
+  }
+}
+
+// Changes the type of this user's items with one of the given types, and
+// returns the changed items, oldest first.
+async function retypeTodos(user, fromTypes, type) {
+  const todos = await store.all();
+  const now = new Date().toISOString();
+  const changed = [];
+  for (const existing of todos) {
+    if (existing.ownerId !== user.id || !fromTypes.includes(existing.type)) {
+      continue;
+    }
+    const todo = {
+      ...existing,
+      type,
+      version: existing.version + 1,
+      updatedAt: now,
+    };
+    await store.set(todo);
+    pubsub.publish("TODO_UPDATED", { todoUpdated: todo });
+    changed.push(todo);
+  }
+  return changed.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+async function sharedWith(user) {
+  const userIds = await sharing.sharedWith(user.id);
+  return userIds.map(findUser);
+}
+
+// Finds the user to share with or stop sharing with.
+function findOtherUser(user, username) {
+  const other = findUserByName(username);
+  if (!other) {
+    throw new UserInputError("Unknown user", {
+      invalidArgs: { username: `There's no user named "${username}".` },
+    });
+  }
+  if (other.id === user.id) {
+    throw new UserInputError("Can't share with yourself", {
+      invalidArgs: { username: "You can always see your own list." },
+    });
+  }
+  return other;
+}
+
+// Subscribes to one of the to-do events, but only passes on the events for
+// items the subscribing user can see.
+function subscribeToVisible(trigger, field) {
+  const subscribe = withFilter(
+    () => pubsub.asyncIterator([trigger]),
+    (payload, _, context) => sharing.canSee(context.user, payload[field])
+  );
+  return (root, args, context, info) => {
+    requireUser(context);
+    return subscribe(root, args, context, info);
+  };
+}
+
+async function addTodo(args, user) {
+  const { type, description } = validateTodo(args);
+  const id = generate();
+  const now = new Date().toISOString();
+  const todo = {
+    id,
+    type,
+    description,
+    ownerId: user.id,
+    completed: false,
+    version: 1,
+    createdAt: now,
+    updatedAt: now,
+  };
+  await store.set(todo);
+  pubsub.publish("TODO_ADDED", { todoAdded: todo });
+  return todo;
+}
+
+async function updateTodo({ id, version, ...args }, user) {
+  const { type, description } = validateTodo(args);
+  const existing = await getTodo(id, user);
+  if (existing.version !== version) throw todoConflict(existing);
+  const todo = {
+    ...existing,
+    type,
+    description,
+    version: existing.version + 1,
+    updatedAt: new Date().toISOString(),
+  };
+  // Another update of the same version can finish while we wait for the
+  // store, so the store checks the version again as it writes.
+  const stored = await store.compareAndSet(todo, version);
+  if (!stored) throw todoNotFound(id);
+  if (stored !== todo) throw todoConflict(stored);
+  pubsub.publish("TODO_UPDATED", { todoUpdated: todo });
+  return todo;
+}
+
+// Runs `mutate` for each input in turn, so that added items keep the order
+// of the input, and returns each item or the TodoError it failed with.
+// Items with the fault trigger's type fail on their own (see faults.js).
+async function mutateEach(inputs, mutate, context, coordinate) {
+  const user = requireUser(context);
+  const results = [];
+  for (const input of inputs) {
+    try {
+      checkItemTrigger(context, coordinate, input);
+      results.push(await mutate(input, user));
+    } catch (error) {
+      results.push(toTodoError(error));
+    }
+  }
+  return results;
+}
+
+// Resolver definitions
+const resolvers = {
+  Query: {
+    todos: (_, __, context) => {
+      return visibleTodos(requireUser(context));
+    },
+    todosByType: (_, { type }, context) => {
+      return todosOfType(requireUser(context), type);
+    },
+    todosConnection: async (_, args, context) => {
+      return paginate(await visibleTodos(requireUser(context)), args);
+    },
+    todo: async (_, { id }, context) => {
+      const user = requireUser(context);
+      const todo = await store.get(id);
+      if (todo && (await sharing.canSee(user, todo))) {
+        return todo;
+      }
+      return null;
+    },
+    me: (_, __, context) => {
+      return requireUser(context);
+    },
+    sharedWith: (_, __, context) => {
+      return sharedWith(requireUser(context));
+    },
+    sharedWithMe: async (_, __, context) => {
+      const user = requireUser(context);
+      const owners = await sharing.visibleOwners(user.id);
+      owners.delete(user.id);
+      return Array.from(owners, findUser);
+    },
+    categories: (_, __, context) => {
+      return categoriesOf(requireUser(context));
+    },
+    category: async (_, { id }, context) => {
+      const user = requireUser(context);
+      const category = await categories.get(id);
+      if (category && category.ownerId === user.id) {
+        return category;
+      }
+      return null;
+    },
+  },
+  Mutation: {
+    login: (_, { username, password }) => {
+      return login(username, password);
+    },
+    shareTodos: async (_, { username }, context) => {
+      const user = requireUser(context);
+      await sharing.share(user.id, findOtherUser(user, username).id);
+      return sharedWith(user);
+    },
+    unshareTodos: async (_, { username }, context) => {
+      const user = requireUser(context);
+      await sharing.unshare(user.id, findOtherUser(user, username).id);
+      return sharedWith(user);
+    },
+    addTodo: (_, args, context) => {
+      return addTodo(args, requireUser(context));
+    },
+    updateTodo: (_, args, context) => {
+      return updateTodo(args, requireUser(context));
+    },
+    toggleTodo: async (_, { id }, context) => {
+      const existing = await getTodo(id, requireUser(context));
+      const todo = {
+        ...existing,
+        completed: !existing.completed,
+        version: existing.version + 1,
+        updatedAt: new Date().toISOString(),
+      };
+      // Like updateTodo, fail rather than overwrite a change that finished
+      // while we waited for the store.
+      const stored = await store.compareAndSet(todo, existing.version);
+      if (!stored) throw todoNotFound(id);
+      if (stored !== todo) throw todoConflict(stored);
+      pubsub.publish("TODO_UPDATED", { todoUpdated: todo });
+      return todo;
+    },
+    deleteTodo: async (_, { id }, context) => {
+      await getTodo(id, requireUser(context));
+      const todo = await store.delete(id);
+      pubsub.publish("TODO_DELETED", { todoDeleted: todo });
+      return todo;
+    },
+    addTodos: (_, { input }, context) => {
+      return mutateEach(input, addTodo, context, "Mutation.addTodos");
+    },
+    updateTodos: (_, { input }, context) => {
+      return mutateEach(input, updateTodo, context, "Mutation.updateTodos");
+    },
+    createCategory: async (_, args, context) => {
+      const user = requireUser(context);
+      const name = validateCategoryName(args.name);
+      await checkNameIsFree(user, name);
+      return categories.ensure(user.id, name);
+    },
+    renameCategory: async (_, { id, ...args }, context) => {
+      const user = requireUser(context);
+      const name = validateCategoryName(args.name);
+      const category = await getCategory(id, user);
+      await checkNameIsFree(user, name, id);
+      const todos =
+        name === category.name
+          ? []
+          : await retypeTodos(user, [category.name], name);
+      return {
+        category: await categories.rename(category, name),
+        todos,
+        removedCategoryIds: [],
+      };
+    },
+    mergeCategories: async (_, { ids, into }, context) => {
+      const user = requireUser(context);
+      const category = await getCategory(into, user);
+      const merged = [];
+      for (const id of new Set(ids)) {
+        if (id !== into) merged.push(await getCategory(id, user));
+      }
+      const todos = await retypeTodos(
+        user,
+        merged.map(({ name }) => name),
+        category.name
+      );
+      for (const { id } of merged) {
+        await categories.delete(id);
+      }
+      return {
+        category,
+        todos,
+        removedCategoryIds: merged.map(({ id }) => id),
+      };
+    },
+  },
+  Todo: {
+    owner: ({ ownerId }) => findUser(ownerId),
+  },
+  Category: {
+    todos: ({ name }, _, context) => {
+      return todosOfType(requireUser(context), name);
+    },
+    todoCount: async ({ name }, _, context) => {
+      const todos = await todosOfType(requireUser(context), name);
+      return todos.length;
+    },
+    completedCount: async ({ name }, _, context) => {
+      const todos = await todosOfType(requireUser(context), name);
+      return todos.filter((todo) => todo.completed).length;
+    },
+  },
+  TodoResult: {
+    __resolveType: (result) => (result.code ? "TodoError" : "Todo"),
+  },
+  Subscription: {
+    todoAdded: {
+      subscribe: subscribeToVisible("TODO_ADDED", "todoAdded"),
+    },
+    todoUpdated: {
+      subscribe: subscribeToVisible("TODO_UPDATED", "todoUpdated"),
+    },
+    todoDeleted: {
+      subscribe: subscribeToVisible("TODO_DELETED", "todoDeleted"),
+    },
+  },
+};
+
+// Create schema, which will be used separately by ApolloServer and
+// the WebSocket server. The fault injection transform adds the artificial
+// latency and errors configured in faults.js to every resolver.
+const schema = faultInjectionTransformer(
+  makeExecutableSchema({ typeDefs, resolvers })
+);
+
+module.exports = { typeDefs, resolvers, schema, pubsub };
@@ -0,0 +1,51 @@
+// Keeps track of who has shared their to-do list with whom. Every user can
+// see and edit their own items, plus the items of every user who has shared
+// their list with them.
+//
+// Sharing settings are kept in a store like the to-do items themselves (see
+// stores.js), with one record per owner: { id: ownerId, userIds: [...] }.
+class Sharing {
+  constructor(store) {
+    this.store = store;
+  }
+
+  // The ids of the users that this owner has shared their list with
+  async sharedWith(ownerId) {
+    const record = await this.store.get(ownerId);
+    return record?.userIds ?? [];
+  }
+
+  // The ids of the users whose lists this user can see, including their own
+  async visibleOwners(userId) {
+    const records = await this.store.all();
+    return new Set([
+      userId,
+      ...records
+        .filter((record) => record.userIds.includes(userId))
+        .map((record) => record.id),
+    ]);
+  }
+
+  async canSee(user, todo) {
+    if (todo.ownerId === user.id) return true;
+    const userIds = await this.sharedWith(todo.ownerId);
+    return userIds.includes(user.id);
+  }
+
+  async share(ownerId, userId) {
+    const userIds = await this.sharedWith(ownerId);
+    if (!userIds.includes(userId)) {
+      await this.store.set({ id: ownerId, userIds: [...userIds, userId] });
+    }
+  }
+
+  async unshare(ownerId, userId) {
+    const userIds = await this.sharedWith(ownerId);
+    await this.store.set({
+      id: ownerId,
+      userIds: userIds.filter((id) => id !== userId),
+    });
+  }
+}
+
+module.exports = { Sharing };
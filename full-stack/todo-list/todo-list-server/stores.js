@@ -0,0 +1,172 @@
+const fs = require("fs");
+const path = require("path");
+const LRU = require("lru-cache");
+
+// Every store implements the same small async interface, so the resolvers
+// don't need to know where to-do items actually live:
+//
+//   all()      -> Promise<Todo[]>
+//   get(id)    -> Promise<Todo | undefined>
+//   set(todo)  -> Promise<Todo>
+//   delete(id) -> Promise<Todo | undefined>  (resolves to the removed item)
+//   compareAndSet(todo, version) -> Promise<Todo | undefined>
+//
+// compareAndSet only stores `todo` if the stored item with its id is at
+// `version`, and resolves to the item that's stored afterwards: `todo` if it
+// was stored, or the item that was in the way (undefined if there's none).
+// The check and the write happen together, so two updates of the same
+// version can't both succeed.
+//
+// The methods are async even for the in-memory stores so that a store backed
+// by a database or a REST API can be dropped in without touching the resolvers.
+
+// Keeps to-do items in a Map for as long as the process is running.
+class MemoryStore {
+  constructor(todos = []) {
+    this.todos = new Map(todos.map((todo) => [todo.id, todo]));
+  }
+
+  async all() {
+    return Array.from(this.todos.values());
+  }
+
+  async get(id) {
+    return this.todos.get(id);
+  }
+
+  async set(todo) {
+    this.todos.set(todo.id, todo);
+    return todo;
+  }
+
+  async delete(id) {
+    const todo = this.todos.get(id);
+    this.todos.delete(id);
+    return todo;
+  }
+
+  async compareAndSet(todo, version) {
+    const current = this.todos.get(todo.id);
+    if (!current || current.version !== version) return current;
+    this.todos.set(todo.id, todo);
+    return todo;
+  }
+}
+
+// Keeps to-do items in memory and writes them to a JSON file after every
+// change, so the list survives a server restart.
+class FileStore extends MemoryStore {
+  constructor(file) {
+    super(FileStore.read(file));
+    this.file = file;
+    this.writing = Promise.resolve();
+  }
+
+  static read(file) {
+    try {
+      return JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (error) {
+      // A missing file just means nothing has been saved yet.
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+  }
+
+  async set(todo) {
+    await super.set(todo);
+    await this.save();
+    return todo;
+  }
+
+  async delete(id) {
+    const todo = await super.delete(id);
+    if (todo) await this.save();
+    return todo;
+  }
+
+  async compareAndSet(todo, version) {
+    const stored = await super.compareAndSet(todo, version);
+    if (stored === todo) await this.save();
+    return stored;
+  }
+
+  // Writes are chained so that two overlapping mutations can't interleave
+  // their writes. Each write goes to a temporary file first and is then
+  // renamed over the real one, so a crash never leaves half a JSON file behind.
+  // A failed write is reported to the mutation that caused it, but doesn't
+  // block the writes that come after it.
+  save() {
+    const data = JSON.stringify(Array.from(this.todos.values()), null, 2);
+    this.writing = this.writing
+      .catch(() => {})
+      .then(async () => {
+        const tmp = `${this.file}.tmp`;
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.promises.writeFile(tmp, data);
+        await fs.promises.rename(tmp, this.file);
+      });
+    return this.writing;
+  }
+}
+
+// The original behavior of this example: an LRU cache that holds at most
+// `max` items and forgets each of them after `maxAge` milliseconds.
+class EphemeralStore {
+  constructor({ max = 25, maxAge = 1000 * 60 * 5 } = {}) {
+    this.cache = LRU({ max, maxAge });
+  }
+
+  async all() {
+    const todos = [];
+    this.cache.forEach((entry) => todos.push(entry));
+    return todos;
+  }
+
+  async get(id) {
+    return this.cache.get(id);
+  }
+
+  async set(todo) {
+    this.cache.set(todo.id, todo);
+    return todo;
+  }
+
+  async delete(id) {
+    const todo = this.cache.get(id);
+    this.cache.del(id);
+    return todo;
+  }
+
+  async compareAndSet(todo, version) {
+    const current = this.cache.get(todo.id);
+    if (!current || current.version !== version) return current;
+    this.cache.set(todo.id, todo);
+    return todo;
+  }
+}
+
+// Picks a store based on the TODO_STORE environment variable:
+//
+//   memory    (default) keep items until the server stops
+//   file      persist items to TODO_STORE_FILE (default: data/todos.json)
+//   ephemeral keep at most 25 items, each for at most 5 minutes
+function createStore({
+  type = process.env.TODO_STORE || "memory",
+  file = process.env.TODO_STORE_FILE ||
+    path.join(__dirname, "data", "todos.json"),
+} = {}) {
+  switch (type) {
+    case "memory":
+      return new MemoryStore();
+    case "file":
+      return new FileStore(path.resolve(file));
+    case "ephemeral":
+      return new EphemeralStore();
+    default:
+      throw new Error(
+        `Unknown TODO_STORE "${type}". Use "memory", "file" or "ephemeral".`
+      );
+  }
+}
+
+module.exports = { MemoryStore, FileStore, EphemeralStore, createStore };
@@ -0,0 +1,107 @@
+const { ApolloError, UserInputError } = require("apollo-server-express");
+
+// The longest values we accept, after trimming. A category's name is the
+// `type` of the items in it, so it has the same limit.
+const maxLengths = {
+  type: 50,
+  description: 500,
+  name: 50,
+};
+
+// Returns a message if this (trimmed) value is empty or too long.
+function checkLength(name, value) {
+  const max = maxLengths[name];
+  if (!value) {
+    return `The ${name} can't be empty.`;
+  }
+  if (value.length > max) {
+    return `The ${name} can't be longer than ${max} characters.`;
+  }
+  return null;
+}
+
+// Checks the fields of a to-do item and returns them trimmed. If any of them
+// is invalid, throws a BAD_USER_INPUT error whose `invalidArgs` extension maps
+// each invalid argument to a message, so clients can show each message next
+// to the matching form field.
+function validateTodo(fields) {
+  const values = {};
+  const invalidArgs = {};
+
+  for (const [name, value] of Object.entries(fields)) {
+    values[name] = value.trim();
+    const message = checkLength(name, values[name]);
+    if (message) invalidArgs[name] = message;
+  }
+
+  if (Object.keys(invalidArgs).length > 0) {
+    throw new UserInputError("Invalid to-do item", { invalidArgs });
+  }
+  return values;
+}
+
+// Checks a category name the same way, and returns it trimmed.
+function validateCategoryName(name) {
+  const value = name.trim();
+  const message = checkLength("name", value);
+  if (message) {
+    throw new UserInputError("Invalid category", {
+      invalidArgs: { name: message },
+    });
+  }
+  return value;
+}
+
+function todoNotFound(id) {
+  return new ApolloError(`No to-do item with id "${id}"`, "NOT_FOUND", {
+    id,
+  });
+}
+
+function categoryNotFound(id) {
+  return new ApolloError(`No category with id "${id}"`, "NOT_FOUND", { id });
+}
+
+// For a write based on an out-of-date version of an item. The `current`
+// extension holds the item as it is on the server, so the client can decide
+// how to resolve the conflict without another round trip.
+function todoConflict(current) {
+  return new ApolloError(
+    `To-do item "${current.id}" was changed by someone else`,
+    "CONFLICT",
+    { current }
+  );
+}
+
+// Turns an error thrown for one item of a bulk mutation into a TodoError
+// result. Errors we didn't throw on purpose are logged, and reported to the
+// client without any details.
+function toTodoError(error) {
+  if (!(error instanceof ApolloError)) {
+    console.error(error);
+    return {
+      code: "INTERNAL_SERVER_ERROR",
+      message: "Internal server error",
+      invalidArgs: [],
+    };
+  }
+  const { code, invalidArgs = {}, current } = error.extensions;
+  return {
+    code,
+    message: error.message,
+    invalidArgs: Object.entries(invalidArgs).map(([argument, message]) => ({
+      argument,
+      message,
+    })),
+    current,
+  };
+}
+
+module.exports = {
+  validateTodo,
+  validateCategoryName,
+  todoNotFound,
+  categoryNotFound,
+  todoConflict,
+  toTodoError,
+};